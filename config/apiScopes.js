@@ -0,0 +1,30 @@
+// Scopes that can be granted to personal API tokens. Routes declare the scope
+// they need with requireScope(); signed-in sessions are not limited by scopes.
+const API_TOKEN_SCOPES = {
+  'profile:read': 'Read your profile',
+  'stories:read': 'Read stories, including your drafts and analytics',
+  'stories:write': 'Create, update and delete your stories',
+  'chapters:read': 'Read chapters, including unpublished ones',
+  'chapters:write': 'Create, update and delete chapters',
+  'comments:read': 'Read comments',
+  'comments:write': 'Post comments',
+  'likes:read': 'See what you have liked',
+  'likes:write': 'Like and unlike content',
+  'progress:read': 'Read your reading progress',
+  'progress:write': 'Save your reading progress',
+  'history:read': 'Read your reading history',
+  'history:write': 'Remove reading history entries',
+  'lists:read': 'Read your reading lists',
+  'lists:write': 'Create reading lists and add or remove stories',
+  'follows:read': 'Read followers and following',
+  'follows:write': 'Follow and unfollow users',
+  'feed:read': 'Read your home feed',
+  'blocks:read': 'See who you have blocked or muted',
+  'blocks:write': 'Block, mute and unblock users',
+  'notifications:read': 'Read your notifications',
+  'notifications:write': 'Mark notifications as read'
+};
+
+module.exports = {
+  API_TOKEN_SCOPES
+};
@@ -0,0 +1,33 @@
+// Badges readers and writers can earn. Each badge is awarded once a user's
+// `metric` (see METRICS in utils/badges.js) reaches `threshold`. New badges
+// can be added here; they are awarded the next time the metric changes.
+const BADGES = {
+  'first-chapter': {
+    name: 'First Chapter',
+    description: 'Published your first chapter',
+    metric: 'chaptersPublished',
+    threshold: 1
+  },
+  'prolific-writer': {
+    name: 'Prolific Writer',
+    description: 'Wrote 100,000 published words',
+    metric: 'wordsWritten',
+    threshold: 100000
+  },
+  'bookworm': {
+    name: 'Bookworm',
+    description: 'Finished 50 stories',
+    metric: 'storiesFinished',
+    threshold: 50
+  },
+  'crowd-favourite': {
+    name: 'Crowd Favourite',
+    description: 'Reached 1,000 followers',
+    metric: 'followers',
+    threshold: 1000
+  }
+};
+
+module.exports = {
+  BADGES
+};
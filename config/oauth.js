@@ -0,0 +1,89 @@
+// OAuth2 / OpenID Connect sign-in providers.
+//
+// Enable providers with OAUTH_PROVIDERS (comma separated ids) and configure
+// each one with OAUTH_<ID>_* variables, e.g. OAUTH_GOOGLE_CLIENT_ID. Known
+// providers ship with their endpoints; any other id is treated as a generic
+// OpenID Connect provider and needs its URLs set explicitly, which is also
+// how a local mock identity provider is plugged in for testing.
+
+const presets = {
+  google: {
+    name: 'Google',
+    authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: 'https://oauth2.googleapis.com/token',
+    userInfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo',
+    scope: 'openid email profile',
+    profile: 'oidc'
+  },
+  github: {
+    name: 'GitHub',
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userInfoUrl: 'https://api.github.com/user',
+    emailsUrl: 'https://api.github.com/user/emails',
+    scope: 'read:user user:email',
+    profile: 'github'
+  }
+};
+
+// Read a provider setting, falling back to the preset value
+const setting = (id, key, fallback) => {
+  const value = process.env[`OAUTH_${id.toUpperCase()}_${key}`];
+  return value !== undefined && value !== '' ? value : fallback;
+};
+
+// Build the redirect URI the provider sends the user back to
+const getRedirectUri = (id) => {
+  const template = process.env.OAUTH_REDIRECT_URI ||
+    `${process.env.FRONTEND_URL || 'http://localhost:3000'}/oauth/{provider}/callback`;
+  
+  return setting(id, 'REDIRECT_URI', template.replace('{provider}', id));
+};
+
+// Load a single provider's configuration from the environment
+const loadProvider = (id) => {
+  const preset = presets[id] || { name: id, scope: 'openid email profile', profile: 'oidc' };
+  
+  const provider = {
+    id,
+    name: setting(id, 'NAME', preset.name),
+    clientId: setting(id, 'CLIENT_ID'),
+    clientSecret: setting(id, 'CLIENT_SECRET'),
+    authorizationUrl: setting(id, 'AUTHORIZATION_URL', preset.authorizationUrl),
+    tokenUrl: setting(id, 'TOKEN_URL', preset.tokenUrl),
+    userInfoUrl: setting(id, 'USERINFO_URL', preset.userInfoUrl),
+    emailsUrl: setting(id, 'EMAILS_URL', preset.emailsUrl),
+    scope: setting(id, 'SCOPE', preset.scope),
+    profile: preset.profile,
+    redirectUri: getRedirectUri(id)
+  };
+  
+  provider.enabled = Boolean(
+    provider.clientId &&
+    provider.authorizationUrl &&
+    provider.tokenUrl &&
+    provider.userInfoUrl
+  );
+  
+  return provider;
+};
+
+// Get all enabled providers
+const getOAuthProviders = () => {
+  return (process.env.OAUTH_PROVIDERS || 'google,github')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(id => /^[a-z0-9_]+$/.test(id))
+    .map(loadProvider)
+    .filter(provider => provider.enabled);
+};
+
+// Get an enabled provider by id, or null
+const getOAuthProvider = (id) => {
+  return getOAuthProviders().find(provider => provider.id === id) || null;
+};
+
+module.exports = {
+  getOAuthProviders,
+  getOAuthProvider
+};
@@ -0,0 +1,85 @@
+// Permissions that can be granted to roles. Actions on content come in an
+// `.own` variant (the user's own content) and an `.any` variant (anyone's).
+const PERMISSIONS = {
+  'story.create': 'Write and publish stories',
+  'story.update.own': 'Edit your own stories',
+  'story.update.any': 'Edit any story',
+  'story.delete.own': 'Delete your own stories',
+  'story.delete.any': 'Delete any story',
+  'story.read.private': 'View private stories of other users',
+  'story.analytics.own': 'View analytics for your own stories',
+  'story.analytics.any': 'View analytics for any story',
+  'comment.create': 'Post comments',
+  'comment.delete.own': 'Delete your own comments',
+  'comment.delete.any': 'Delete any comment',
+  'comment.hide': 'Hide comments from other readers',
+  'user.suspend': 'Suspend and reinstate user accounts',
+  'user.unlock': 'Lift sign-in lockouts',
+  'user.role.assign': 'Change the role of a user',
+  'role.manage': 'Create, edit and delete custom roles',
+  'author.verify': 'Review author verification applications',
+  'settings.manage': 'Change platform security settings'
+};
+
+// Grants every permission
+const ALL_PERMISSIONS = '*';
+
+// Administrative permissions that personal API tokens can never exercise
+const SESSION_ONLY_PERMISSIONS = [
+  'user.suspend',
+  'user.unlock',
+  'user.role.assign',
+  'role.manage',
+  'author.verify',
+  'settings.manage'
+];
+
+const READER_PERMISSIONS = ['comment.create', 'comment.delete.own'];
+
+const WRITER_PERMISSIONS = [
+  ...READER_PERMISSIONS,
+  'story.create',
+  'story.update.own',
+  'story.delete.own',
+  'story.analytics.own'
+];
+
+// Roles that always exist and cannot be changed. Custom roles are stored in
+// the Role model.
+const BUILT_IN_ROLES = {
+  reader: {
+    description: 'Can read stories, comment, and like',
+    permissions: READER_PERMISSIONS
+  },
+  writer: {
+    description: 'Can create and manage stories',
+    permissions: WRITER_PERMISSIONS
+  },
+  both: {
+    description: 'Full reader and writer permissions',
+    permissions: WRITER_PERMISSIONS
+  },
+  moderator: {
+    description: 'Keeps the community safe by moderating content and users',
+    permissions: [
+      ...WRITER_PERMISSIONS,
+      'story.update.any',
+      'story.delete.any',
+      'story.read.private',
+      'comment.delete.any',
+      'comment.hide',
+      'user.suspend'
+    ]
+  },
+  admin: {
+    description: 'Full system access',
+    permissions: [ALL_PERMISSIONS]
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SESSION_ONLY_PERMISSIONS,
+  BUILT_IN_ROLES
+};
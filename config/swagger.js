@@ -71,8 +71,8 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['reader', 'writer', 'both', 'admin'],
-              description: 'User role'
+              example: 'both',
+              description: 'User role - reader, writer, both, moderator, admin or a custom role'
             },
             followersCount: {
               type: 'number',
@@ -176,6 +176,10 @@ const options = {
               maximum: 5,
               description: 'Average rating'
             },
+            readingListsCount: {
+              type: 'number',
+              description: 'Number of reading lists the story is on'
+            },
             publishedAt: {
               type: 'string',
               format: 'date-time',
@@ -288,7 +292,7 @@ const options = {
           properties: {
             page: {
               type: 'integer',
-              description: 'Current page number'
+              description: 'Current page number (not given when paging by cursor)'
             },
             limit: {
               type: 'integer',
@@ -296,11 +300,11 @@ const options = {
             },
             total: {
               type: 'integer',
-              description: 'Total number of items'
+              description: 'Total number of items, when counted'
             },
             totalPages: {
               type: 'integer',
-              description: 'Total number of pages'
+              description: 'Total number of pages, when counted in page mode'
             },
             hasNext: {
               type: 'boolean',
@@ -308,7 +312,12 @@ const options = {
             },
             hasPrev: {
               type: 'boolean',
-              description: 'Whether there is a previous page'
+              description: 'Whether there is a previous page (not given when paging by cursor)'
+            },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Opaque cursor for the next page, or null on the last page'
             }
           }
         },
@@ -0,0 +1,124 @@
+const ApiToken = require('../models/ApiToken');
+const { API_TOKEN_SCOPES } = require('../config/apiScopes');
+
+// Shape a token for responses - the raw token is never stored or returned here
+const describeToken = (apiToken) => ({
+  id: apiToken._id,
+  name: apiToken.name,
+  prefix: apiToken.prefix,
+  scopes: apiToken.scopes,
+  lastUsedAt: apiToken.lastUsedAt,
+  lastUsedIp: apiToken.lastUsedIp,
+  expiresAt: apiToken.expiresAt,
+  createdAt: apiToken.createdAt
+});
+
+// @desc    List the scopes that can be granted to API tokens
+// @route   GET /api/auth/tokens/scopes
+// @access  Private
+const getApiTokenScopes = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        scopes: Object.entries(API_TOKEN_SCOPES).map(([scope, description]) => ({
+          scope,
+          description
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List current user's active API tokens
+// @route   GET /api/auth/tokens
+// @access  Private
+const getApiTokens = async (req, res, next) => {
+  try {
+    const tokens = await ApiToken.getActiveTokens(req.userId);
+    
+    res.json({
+      success: true,
+      data: {
+        tokens: tokens.map(describeToken)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create an API token - the token is only shown in this response
+// @route   POST /api/auth/tokens
+// @access  Private
+const createApiToken = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    const maxTokens = parseInt(process.env.API_TOKEN_MAX_PER_USER) || 20;
+    
+    if ((await ApiToken.countActiveTokens(req.userId)) >= maxTokens) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${maxTokens} active API tokens. Revoke one first.`
+      });
+    }
+    
+    const { token, tokenHash, prefix } = ApiToken.generate();
+    const apiToken = await ApiToken.create({
+      user: req.userId,
+      name,
+      tokenHash,
+      prefix,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'API token created. Copy it now - it will not be shown again.',
+      data: {
+        token,
+        apiToken: describeToken(apiToken)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke an API token
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+const revokeApiToken = async (req, res, next) => {
+  try {
+    const apiToken = await ApiToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'API token not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'API token revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getApiTokenScopes,
+  getApiTokens,
+  createApiToken,
+  revokeApiToken
+};
@@ -1,5 +1,58 @@
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const Story = require('../models/Story');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const UsernameChange = require('../models/UsernameChange');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  getTokenExpiry,
+  getClientInfo,
+  startSession
+} = require('../middleware/auth');
+const {
+  createRandomToken,
+  hashToken,
+  signActionToken,
+  verifyActionToken
+} = require('../utils/tokens');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendReactivationEmail
+} = require('../utils/emails');
+const {
+  recordLoginAttempt,
+  handleFailedLogin,
+  refuseThrottledLogin,
+  refuseInactiveLogin,
+  continueLogin,
+  completeLogin
+} = require('../utils/login');
+const { getUserPermissions } = require('../utils/permissions');
+const { NEWEST_FIRST, getPaginationParams, paginate } = require('../utils/pagination');
+
+// Issue and email a signed verification link for user's current address
+const issueVerificationEmail = async (user) => {
+  const token = signActionToken(
+    'email-verification',
+    { userId: user._id, email: user.email },
+    process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'
+  );
+  
+  await sendVerificationEmail(user, token);
+  
+  user.verificationEmailSentAt = new Date();
+  await User.updateOne(
+    { _id: user._id },
+    { verificationEmailSentAt: user.verificationEmailSentAt }
+  );
+};
 
 // @desc    Register new user
 // @route   POST /api/auth/register
@@ -21,6 +74,13 @@ const register = async (req, res, next) => {
       });
     }
     
+    if (await UsernameChange.isReserved(username)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This username was recently released and is not available yet'
+      });
+    }
+    
     // Create user
     const user = new User({
       username,
@@ -32,19 +92,27 @@ const register = async (req, res, next) => {
     
     await user.save();
     
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification email - registration should not fail if mail is down
+    issueVerificationEmail(user).catch(error => {
+      console.error('Verification email error:', error);
+    });
+    
+    // Start session
+    const { token, refreshToken } = await startSession(user._id, req);
     
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         fullName: user.fullName,
         role: user.role,
+        isVerified: user.isVerified,
+        isVerifiedAuthor: user.isVerifiedAuthor,
         profilePicture: user.profilePicture,
         bio: user.bio,
         followersCount: user.followersCount,
@@ -68,56 +136,75 @@ const login = async (req, res, next) => {
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select('+password');
     
+    // Refuse early if this IP or account has failed too often recently
+    if (await refuseThrottledLogin(req, res, user)) return;
+    
     if (!user) {
+      await recordLoginAttempt(req, 'unknown_user');
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
     
-    // Check if user is active
-    if (!user.isActive) {
+    // Check password
+    const isMatch = await user.comparePassword(password);
+    
+    if (!isMatch) {
+      await handleFailedLogin(req, user, 'invalid_password');
       return res.status(401).json({
         success: false,
-        message: 'Account is deactivated. Please contact support.'
+        message: 'Invalid email or password'
       });
     }
     
-    // Check password
-    const isMatch = await user.comparePassword(password);
+    // Account status is only revealed once the password is known to be right
+    if (await refuseInactiveLogin(req, res, user)) return;
     
-    if (!isMatch) {
+    // Password is correct - a second factor may still be needed
+    await continueLogin(user, req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete login with a 2FA code or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires 2FA challenge token)
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const decoded = verifyActionToken(challengeToken, '2fa-login');
+    
+    if (!decoded) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'Login challenge is invalid or has expired. Please log in again.'
       });
     }
     
-    // Update last active
-    user.updateLastActive();
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactor.secret +twoFactor.lastUsedStep');
     
-    // Generate token
-    const token = generateToken(user._id);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
     
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        fullName: user.fullName,
-        role: user.role,
-        profilePicture: user.profilePicture,
-        bio: user.bio,
-        followersCount: user.followersCount,
-        followingCount: user.followingCount,
-        storiesCount: user.storiesCount,
-        lastActive: user.lastActive,
-        preferences: user.preferences
-      }
-    });
+    // Codes are throttled like passwords so they cannot be guessed
+    if (await refuseThrottledLogin(req, res, user)) return;
+    
+    if (!(await user.verifySecondFactor({ code, recoveryCode }))) {
+      await handleFailedLogin(req, user, 'invalid_2fa');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    await completeLogin(user, req, res, decoded.method);
   } catch (error) {
     next(error);
   }
@@ -128,15 +215,7 @@ const login = async (req, res, next) => {
 // @access  Private
 const getMe = async (req, res, next) => {
   try {
-    const user = await User.findById(req.userId)
-      .populate('readingList.story', 'title author coverImage')
-      .populate({
-        path: 'readingList.story',
-        populate: {
-          path: 'author',
-          select: 'username fullName'
-        }
-      });
+    const user = await User.findById(req.userId);
     
     if (!user) {
       return res.status(404).json({
@@ -147,7 +226,8 @@ const getMe = async (req, res, next) => {
     
     res.json({
       success: true,
-      user
+      user,
+      permissions: await getUserPermissions(user)
     });
   } catch (error) {
     next(error);
@@ -160,6 +240,7 @@ const getMe = async (req, res, next) => {
 const updateProfile = async (req, res, next) => {
   try {
     const allowedFields = ['fullName', 'username', 'bio', 'preferences'];
+    const privacyFields = ['isPrivate', 'showEmail', 'showPreferences'];
     const updates = {};
     
     // Only include allowed fields
@@ -169,31 +250,86 @@ const updateProfile = async (req, res, next) => {
       }
     });
     
+    // Privacy settings are updated one by one so that omitted ones are kept
+    if (req.body.privacy) {
+      privacyFields.forEach(field => {
+        if (req.body.privacy[field] !== undefined) {
+          updates[`privacy.${field}`] = req.body.privacy[field];
+        }
+      });
+    }
+    
+    const currentUser = await User.findById(req.userId);
+    
+    if (!currentUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const previousName = { username: currentUser.username, fullName: currentUser.fullName };
+    
+    // Username changes are rate-limited and recorded so old links keep
+    // working. They are checked here but applied after the rest of the
+    // profile is saved, so a failed update leaves the username untouched.
+    const newUsername = updates.username !== undefined && updates.username !== currentUser.username
+      ? updates.username
+      : null;
+    
+    if (newUsername) {
+      const nextChangeAt = await currentUser.getNextUsernameChangeAt();
+      
+      if (nextChangeAt) {
+        return res.status(429).json({
+          success: false,
+          message: `You can change your username again on ${nextChangeAt.toUTCString()}`,
+          nextChangeAt
+        });
+      }
+      
+      if (!(await User.isUsernameAvailable(newUsername, currentUser._id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Username is already taken or was recently released'
+        });
+      }
+    }
+    delete updates.username;
+    
     // Handle profile picture upload if present
     if (req.file) {
       const { getFileUrl, deleteFile } = require('../middleware/upload');
       
       // Delete old profile picture if exists
-      const user = await User.findById(req.userId);
-      if (user.profilePicture) {
-        const oldFileName = user.profilePicture.split('/').pop();
+      if (currentUser.profilePicture) {
+        const oldFileName = currentUser.profilePicture.split('/').pop();
         deleteFile(`uploads/profiles/${oldFileName}`);
       }
       
       updates.profilePicture = getFileUrl(req.file.filename, 'profile');
     }
     
-    const user = await User.findByIdAndUpdate(
+    let user = await User.findByIdAndUpdate(
       req.userId,
       updates,
       { new: true, runValidators: true }
     );
     
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    if (newUsername) user = await user.changeUsername(newUsername);
+    
+    // Stories carry the author's name for search
+    if (user.username !== previousName.username || user.fullName !== previousName.fullName) {
+      await Story.syncAuthorName(user._id);
+    }
+    
+    // Making the account public lets everyone waiting in
+    if (currentUser.privacy.isPrivate && !user.privacy.isPrivate) {
+      const approved = await Follow.approveAllPending(user._id);
+      
+      for (const request of approved) {
+        await Notification.createFollowApprovedNotification(request.follower, user._id);
+      }
     }
     
     res.json({
@@ -213,10 +349,10 @@ const changePassword = async (req, res, next) => {
   try {
     const { currentPassword, newPassword } = req.body;
     
-    if (!currentPassword || !newPassword) {
+    if (!newPassword) {
       return res.status(400).json({
         success: false,
-        message: 'Current password and new password are required'
+        message: 'New password is required'
       });
     }
     
@@ -230,10 +366,8 @@ const changePassword = async (req, res, next) => {
       });
     }
     
-    // Check current password
-    const isMatch = await user.comparePassword(currentPassword);
-    
-    if (!isMatch) {
+    // Accounts created through social login can set a first password
+    if (user.password && !(await user.comparePassword(currentPassword || ''))) {
       return res.status(400).json({
         success: false,
         message: 'Current password is incorrect'
@@ -244,6 +378,9 @@ const changePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
     
+    // Sign out every other device
+    await Session.revokeAllForUser(user._id, 'password_change', req.sessionId);
+    
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -258,11 +395,7 @@ const changePassword = async (req, res, next) => {
 // @access  Private
 const deactivateAccount = async (req, res, next) => {
   try {
-    const user = await User.findByIdAndUpdate(
-      req.userId,
-      { isActive: false },
-      { new: true }
-    );
+    const user = await User.findById(req.userId);
     
     if (!user) {
       return res.status(404).json({
@@ -271,42 +404,158 @@ const deactivateAccount = async (req, res, next) => {
       });
     }
     
+    await user.deactivate({ type: 'self' });
+    await Session.revokeAllForUser(user._id, 'account_deactivated');
+    
+    res.json({
+      success: true,
+      message: 'Account deactivated successfully. You can reactivate it from the sign-in page.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Email a reactivation link for a self-deactivated account
+// @route   POST /api/auth/reactivate
+// @access  Public
+const requestReactivation = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email, isActive: false });
+    
+    if (user && user.canSelfReactivate()) {
+      const expiresIn = process.env.REACTIVATION_EXPIRES_IN || '24h';
+      const token = signActionToken(
+        'reactivation',
+        // Tied to this deactivation so the link stops working once used
+        { userId: user._id, deactivatedAt: user.deactivation.at ? user.deactivation.at.getTime() : null },
+        expiresIn
+      );
+      
+      // Sent in the background so response time does not reveal whether the email exists
+      sendReactivationEmail(user, token, expiresIn).catch(error => {
+        console.error('Reactivation email error:', error);
+      });
+    }
+    
+    // Same response whether or not a deactivated account exists
     res.json({
       success: true,
-      message: 'Account deactivated successfully'
+      message: 'If a deactivated account exists for that email, a reactivation link has been sent'
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Refresh token
+// @desc    Reactivate a self-deactivated account using the emailed link
+// @route   POST /api/auth/reactivate/confirm
+// @access  Public (requires reactivation token)
+const confirmReactivation = async (req, res, next) => {
+  try {
+    const decoded = verifyActionToken(req.body.token, 'reactivation');
+    const user = decoded && await User.findById(decoded.userId);
+    const deactivatedAt = user && user.deactivation.at ? user.deactivation.at.getTime() : null;
+    
+    if (!user || !user.canSelfReactivate() || deactivatedAt !== decoded.deactivatedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reactivation link is invalid or has expired'
+      });
+    }
+    
+    await user.reactivate();
+    
+    res.json({
+      success: true,
+      message: 'Your account has been reactivated. You can now log in.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rotate refresh token and issue a new access token
 // @route   POST /api/auth/refresh
-// @access  Private
+// @access  Public (requires refresh token)
 const refreshToken = async (req, res, next) => {
   try {
-    // User is already authenticated via middleware
-    const token = generateToken(req.userId);
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(req.body.refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+    
+    const nextTokenId = createRandomToken();
+    const newRefreshToken = generateRefreshToken(decoded.sid, nextTokenId);
+    const { userAgent, ipAddress } = getClientInfo(req);
+    
+    const session = await Session.rotateRefreshToken(
+      decoded.sid,
+      hashToken(decoded.jti),
+      hashToken(nextTokenId),
+      {
+        userAgent,
+        ipAddress,
+        expiresAt: getTokenExpiry(newRefreshToken)
+      }
+    );
+    
+    if (!session) {
+      // A validly signed token that is no longer current has already been
+      // rotated - treat it as stolen and revoke the session so that neither
+      // the attacker's nor the legitimate client's token chain stays valid
+      const existing = await Session.findById(decoded.sid);
+      if (existing && existing.isActive()) {
+        await existing.revoke('token_reuse');
+      }
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please log in again.'
+      });
+    }
+    
+    const user = await User.findById(session.user);
+    
+    if (!user || !user.isActive) {
+      await session.revoke('account_deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated.'
+      });
+    }
     
     res.json({
       success: true,
       message: 'Token refreshed successfully',
-      token
+      token: generateToken(user._id, session._id),
+      refreshToken: newRefreshToken
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Logout (client-side token removal)
+// @desc    Logout (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res, next) => {
   try {
-    // Update last active timestamp
-    await User.findByIdAndUpdate(req.userId, {
-      lastActive: new Date()
-    });
+    await Promise.all([
+      Session.findByIdAndUpdate(req.sessionId, {
+        revokedAt: new Date(),
+        revokedReason: 'logout'
+      }),
+      // Update last active timestamp
+      User.findByIdAndUpdate(req.userId, {
+        lastActive: new Date()
+      })
+    ]);
     
     res.json({
       success: true,
@@ -317,6 +566,195 @@ const logout = async (req, res, next) => {
   }
 };
 
+// @desc    Verify email address from emailed link
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+  try {
+    const decoded = verifyActionToken(req.body.token, 'email-verification');
+    
+    if (!decoded) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+    
+    const user = await User.findById(decoded.userId);
+    
+    // Links sent to a previous address must not verify the current one
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+    
+    if (!user.isVerified) {
+      user.isVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+    
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+    
+    // Throttle resends per account
+    const interval = (parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL) || 60) * 1000;
+    const elapsed = user.verificationEmailSentAt ? Date.now() - user.verificationEmailSentAt.getTime() : Infinity;
+    
+    if (elapsed < interval) {
+      const retryAfter = Math.ceil((interval - elapsed) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${retryAfter} seconds before requesting another verification email`
+      });
+    }
+    
+    await issueVerificationEmail(user);
+    
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+    
+    if (user) {
+      const token = createRandomToken();
+      const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+      
+      await User.updateOne(
+        { _id: user._id },
+        {
+          passwordResetToken: hashToken(token),
+          passwordResetExpires: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+        }
+      );
+      
+      // Sent in the background so response time does not reveal whether the email exists
+      sendPasswordResetEmail(user, token, expiresInMinutes).catch(error => {
+        console.error('Password reset email error:', error);
+      });
+    }
+    
+    // Same response whether or not the email is registered
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password using emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+      isActive: true
+    }).select('+password +passwordResetToken +passwordResetExpires');
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+    
+    // Tokens are single-use
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    
+    // Sign out every device and tool that may have been set up by someone else
+    await Promise.all([
+      Session.revokeAllForUser(user._id, 'password_reset'),
+      ApiToken.revokeAllForUser(user._id)
+    ]);
+    
+    sendPasswordChangedEmail(user).catch(error => {
+      console.error('Password changed email error:', error);
+    });
+    
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get current user's recent sign-in activity
+// @route   GET /api/auth/login-activity
+// @access  Private
+const getLoginActivity = async (req, res, next) => {
+  try {
+    const { cursor, after, page, limit, fetchLimit, skip, includeTotal } = getPaginationParams(req.query, NEWEST_FIRST);
+    
+    const [attempts, total] = await Promise.all([
+      LoginAttempt.getUserActivity(req.userId, fetchLimit, skip, after),
+      includeTotal ? LoginAttempt.countDocuments({ user: req.userId }) : null
+    ]);
+    const { items, pagination } = paginate(attempts, { limit, page, cursor, sort: NEWEST_FIRST, total });
+    
+    res.json({
+      success: true,
+      data: {
+        attempts: items,
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   register,
   login,
@@ -324,6 +762,14 @@ module.exports = {
   updateProfile,
   changePassword,
   deactivateAccount,
+  requestReactivation,
+  confirmReactivation,
   refreshToken,
-  logout
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  getLoginActivity
 };
\ No newline at end of file
@@ -0,0 +1,196 @@
+const AuthorVerification = require('../models/AuthorVerification');
+const Notification = require('../models/Notification');
+const { OLDEST_FIRST, getPaginationParams, paginate } = require('../utils/pagination');
+
+// Refusal for applications another reviewer has already decided
+const ALREADY_REVIEWED = 'This application has already been reviewed';
+
+// @desc    Apply to become a verified author
+// @route   POST /api/author-verification
+// @access  Private (story.create)
+const applyForVerification = async (req, res, next) => {
+  try {
+    const { statement, links = [] } = req.body;
+    
+    if (req.user.isVerifiedAuthor) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a verified author'
+      });
+    }
+    
+    if (await AuthorVerification.exists({ user: req.userId, status: 'pending' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an application waiting for review'
+      });
+    }
+    
+    const application = await AuthorVerification.create({
+      user: req.userId,
+      statement,
+      links: [...new Set(links)]
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Verification application submitted',
+      data: { application }
+    });
+  } catch (error) {
+    // Two submissions at once; the index allows only one pending application
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have an application waiting for review'
+      });
+    }
+    next(error);
+  }
+};
+
+// @desc    Get your verification status and applications
+// @route   GET /api/author-verification
+// @access  Private
+const getMyVerification = async (req, res, next) => {
+  try {
+    const applications = await AuthorVerification.find({ user: req.userId })
+      .select('-user -reviewedBy')
+      .sort({ createdAt: -1 });
+    
+    res.json({
+      success: true,
+      data: {
+        isVerifiedAuthor: req.user.isVerifiedAuthor,
+        authorVerifiedAt: req.user.authorVerifiedAt,
+        applications
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List verification applications for review
+// @route   GET /api/author-verification/requests
+// @access  Private (author.verify)
+const getVerificationQueue = async (req, res, next) => {
+  try {
+    const { cursor, after, page, limit, fetchLimit, skip, includeTotal } = getPaginationParams(req.query, OLDEST_FIRST);
+    const status = req.query.status ? String(req.query.status) : 'pending';
+    
+    const [applications, total] = await Promise.all([
+      AuthorVerification.getQueue(status, fetchLimit, skip, after),
+      includeTotal ? AuthorVerification.countDocuments({ status }) : null
+    ]);
+    const { items, pagination } = paginate(applications, { limit, page, cursor, sort: OLDEST_FIRST, total });
+    
+    res.json({
+      success: true,
+      data: {
+        applications: items,
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Check whether the current user may review an application. Returns the
+// status and message to refuse with, or null.
+const getReviewRefusal = (req, application) => {
+  if (!application) {
+    return { status: 404, message: 'Application not found' };
+  }
+  
+  if (application.status !== 'pending') {
+    return { status: 400, message: ALREADY_REVIEWED };
+  }
+  
+  if (application.user.equals(req.userId)) {
+    return { status: 403, message: 'You cannot review your own application' };
+  }
+  
+  return null;
+};
+
+// @desc    Approve a verification application
+// @route   POST /api/author-verification/requests/:id/approve
+// @access  Private (author.verify)
+const approveVerification = async (req, res, next) => {
+  try {
+    const application = await AuthorVerification.findById(req.params.id);
+    const refusal = getReviewRefusal(req, application);
+    
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
+    }
+    
+    const reviewed = await application.approve(req.userId);
+    
+    if (!reviewed) {
+      return res.status(400).json({
+        success: false,
+        message: ALREADY_REVIEWED
+      });
+    }
+    
+    await Notification.createAuthorVerificationNotification(reviewed);
+    
+    res.json({
+      success: true,
+      message: 'Author verified',
+      data: { application: reviewed }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject a verification application with a reason
+// @route   POST /api/author-verification/requests/:id/reject
+// @access  Private (author.verify)
+const rejectVerification = async (req, res, next) => {
+  try {
+    const application = await AuthorVerification.findById(req.params.id);
+    const refusal = getReviewRefusal(req, application);
+    
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
+    }
+    
+    const reviewed = await application.reject(req.userId, req.body.reason);
+    
+    if (!reviewed) {
+      return res.status(400).json({
+        success: false,
+        message: ALREADY_REVIEWED
+      });
+    }
+    
+    await Notification.createAuthorVerificationNotification(reviewed);
+    
+    res.json({
+      success: true,
+      message: 'Application rejected',
+      data: { application: reviewed }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  applyForVerification,
+  getMyVerification,
+  getVerificationQueue,
+  approveVerification,
+  rejectVerification
+};
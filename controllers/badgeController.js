@@ -0,0 +1,40 @@
+const { BADGES } = require('../config/badges');
+
+// @desc    List the badges that can be earned, and which ones you have
+// @route   GET /api/badges
+// @access  Public
+const getBadges = async (req, res, next) => {
+  try {
+    const earned = new Map(
+      (req.user ? req.user.badges : []).map(entry => [entry.badge, entry.awardedAt])
+    );
+    
+    const badges = Object.entries(BADGES).map(([key, badge]) => {
+      const summary = {
+        key,
+        name: badge.name,
+        description: badge.description,
+        metric: badge.metric,
+        threshold: badge.threshold
+      };
+      
+      if (req.user) {
+        summary.earned = earned.has(key);
+        summary.awardedAt = earned.get(key) || null;
+      }
+      
+      return summary;
+    });
+    
+    res.json({
+      success: true,
+      data: { badges }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBadges
+};
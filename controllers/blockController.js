@@ -0,0 +1,108 @@
+const Block = require('../models/Block');
+const User = require('../models/User');
+const { NEWEST_FIRST, getPaginationParams, paginate } = require('../utils/pagination');
+
+// @desc    List the users you have blocked or muted
+// @route   GET /api/blocks
+// @access  Private
+const getBlocks = async (req, res, next) => {
+  try {
+    const { cursor, after, page, limit, fetchLimit, skip, includeTotal } = getPaginationParams(req.query, NEWEST_FIRST);
+    const type = req.query.type ? String(req.query.type) : null;
+    const query = { blocker: req.userId };
+    if (type) query.type = type;
+    
+    const [blocks, total] = await Promise.all([
+      Block.getUserBlocks(req.userId, type, fetchLimit, skip, after),
+      includeTotal ? Block.countDocuments(query) : null
+    ]);
+    const { items, pagination } = paginate(blocks, { limit, page, cursor, sort: NEWEST_FIRST, total });
+    
+    res.json({
+      success: true,
+      data: {
+        blocks: items.map(block => ({
+          user: block.blocked,
+          type: block.type,
+          createdAt: block.createdAt
+        })),
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Block or mute a user
+// @route   POST /api/blocks/:userId
+// @access  Private
+const blockUser = async (req, res, next) => {
+  try {
+    const { type = 'block' } = req.body;
+    
+    if (req.userId.equals(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block or mute yourself'
+      });
+    }
+    
+    const user = await User.findById(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const block = await Block.setBlock(req.userId, user._id, type);
+    
+    res.json({
+      success: true,
+      message: type === 'mute' ? 'User muted' : 'User blocked',
+      data: {
+        block: {
+          user: user._id,
+          type: block.type,
+          createdAt: block.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unblock or unmute a user
+// @route   DELETE /api/blocks/:userId
+// @access  Private
+const unblockUser = async (req, res, next) => {
+  try {
+    const block = await Block.findOneAndDelete({
+      blocker: req.userId,
+      blocked: req.params.userId
+    });
+    
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not blocked or muted this user'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: block.type === 'mute' ? 'User unmuted' : 'User unblocked'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBlocks,
+  blockUser,
+  unblockUser
+};
@@ -0,0 +1,125 @@
+const Chapter = require('../models/Chapter');
+const ReadingProgress = require('../models/ReadingProgress');
+const ReadingHistory = require('../models/ReadingHistory');
+const Block = require('../models/Block');
+const { hasPermission, isOwner } = require('../utils/permissions');
+
+// Check whether the current user may read a chapter (with its story
+// populated). Returns the status and message to refuse with, or null.
+const getReadRefusal = async (req, chapter) => {
+  const { story } = chapter;
+  const authorId = story.author._id || story.author;
+  const canViewPrivate = Boolean(req.user) && (
+    isOwner(req.user, authorId) ||
+    await hasPermission(req.user, 'story.read.private')
+  );
+  
+  if (canViewPrivate) return null;
+  
+  if (chapter.status !== 'published' || story.isAuthorInactive ||
+      (req.userId && await Block.isHiddenFrom(authorId, req.userId))) {
+    return { status: 404, message: 'Chapter not found' };
+  }
+  
+  if (story.visibility === 'private') {
+    return { status: 403, message: 'This story is private' };
+  }
+  
+  return null;
+};
+
+// @desc    Get a chapter with navigation and your reading progress
+// @route   GET /api/chapters/:id
+// @access  Public
+const getChapter = async (req, res, next) => {
+  try {
+    const result = await Chapter.getChapterWithNavigation(req.params.id, req.userId);
+    
+    if (!result || !result.chapter.story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+    
+    const refusal = await getReadRefusal(req, result.chapter);
+    
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
+    }
+    
+    // Increment view count
+    result.chapter.incrementViews();
+    
+    if (req.user) {
+      ReadingHistory.record(req.user, result.chapter.story._id, result.chapter._id).catch(error => {
+        console.error('Reading history error:', error);
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Save your reading position in a chapter
+// @route   PUT /api/chapters/:id/progress
+// @access  Private
+const syncReadingProgress = async (req, res, next) => {
+  try {
+    const chapter = await Chapter.findById(req.params.id)
+      .populate('story', 'author visibility isAuthorInactive');
+    
+    if (!chapter || !chapter.story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chapter not found'
+      });
+    }
+    
+    const refusal = await getReadRefusal(req, chapter);
+    
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
+    }
+    
+    const { paragraph, chapterProgress, readAt } = req.body;
+    
+    const { progress, applied } = await ReadingProgress.syncProgress(
+      req.userId,
+      { _id: chapter._id, story: chapter.story._id, chapterNumber: chapter.chapterNumber },
+      {
+        paragraph,
+        chapterProgress,
+        // Clients send when the position was read so offline updates sort correctly
+        readAt: readAt ? new Date(Math.min(new Date(readAt).getTime(), Date.now())) : new Date()
+      }
+    );
+    
+    res.json({
+      success: true,
+      // Not applied when another device saved a newer position; clients
+      // should move to the returned one
+      message: applied ? 'Reading progress saved' : 'A newer reading position exists',
+      applied,
+      data: { progress }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getChapter,
+  syncReadingProgress
+};
@@ -0,0 +1,116 @@
+const Activity = require('../models/Activity');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const { NEWEST_FIRST, encodeCursor, getPaginationParams } = require('../utils/pagination');
+
+// Most activities one feed request reads while skipping hidden ones
+const MAX_SCANNED_ACTIVITIES = 500;
+
+// Whether an activity can still be shown. Stories, chapters, lists and
+// reviews may have been unpublished, made private or removed since.
+const isVisibleActivity = (activity, hiddenUserIds) => {
+  const { actor, story } = activity;
+  
+  if (!actor || !actor.isActive || !story) return false;
+  if (story.visibility !== 'public' || story.status === 'draft' || story.isAuthorInactive) return false;
+  if (hiddenUserIds.has(story.author.toString())) return false;
+  
+  switch (activity.type) {
+    case 'chapter_published':
+      return Boolean(activity.chapter) && activity.chapter.status === 'published';
+    case 'reading_list_add':
+      return Boolean(activity.readingList) && activity.readingList.visibility === 'public';
+    case 'review':
+      return Boolean(activity.rating) && Boolean(activity.rating.review) && !activity.rating.isAnonymous;
+    default:
+      return true;
+  }
+};
+
+// @desc    Get your home feed of activity from users you follow
+// @route   GET /api/feed
+// @access  Private
+const getFeed = async (req, res, next) => {
+  try {
+    const { limit, fetchLimit, after } = getPaginationParams(req.query, NEWEST_FIRST);
+    
+    // Only approved follows count, so private accounts you follow are included
+    const [followingIds, hiddenIds] = await Promise.all([
+      Follow.find({ follower: req.userId, isActive: true }).distinct('following'),
+      Block.getHiddenUserIds(req.userId)
+    ]);
+    
+    const hiddenUserIds = new Set(hiddenIds.map(id => id.toString()));
+    const actorIds = followingIds.filter(id => !hiddenUserIds.has(id.toString()));
+    
+    // Activities that can no longer be shown are skipped, and reading goes on
+    // until the page is full. The scan is capped so a long run of hidden
+    // activity cannot make one request read everything; the cursor then
+    // continues past what was read.
+    const page = [];
+    let readFrom = after;
+    let scanned = 0;
+    let lastRead = null;
+    let hasMore = actorIds.length > 0;
+    
+    while (hasMore && page.length < limit && scanned < MAX_SCANNED_ACTIVITIES) {
+      const batch = await Activity.getFeed(actorIds, fetchLimit, readFrom);
+      const toScan = batch.slice(0, limit);
+      hasMore = batch.length > limit;
+      
+      for (const [index, activity] of toScan.entries()) {
+        scanned++;
+        lastRead = activity;
+        if (isVisibleActivity(activity, hiddenUserIds)) page.push(activity);
+        
+        if (page.length === limit) {
+          hasMore = hasMore || index < toScan.length - 1;
+          break;
+        }
+      }
+      readFrom = lastRead && [lastRead.createdAt, lastRead._id];
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        activities: page.map(activity => ({
+          id: activity._id,
+          type: activity.type,
+          actor: {
+            _id: activity.actor._id,
+            username: activity.actor.username,
+            fullName: activity.actor.fullName,
+            profilePicture: activity.actor.profilePicture,
+            isVerifiedAuthor: activity.actor.isVerifiedAuthor
+          },
+          story: {
+            _id: activity.story._id,
+            title: activity.story.title,
+            description: activity.story.description,
+            coverImage: activity.story.coverImage,
+            genre: activity.story.genre,
+            status: activity.story.status
+          },
+          chapter: activity.chapter,
+          readingList: activity.readingList,
+          review: activity.rating
+            ? { value: activity.rating.value, review: activity.rating.review }
+            : null,
+          createdAt: activity.createdAt
+        })),
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor: hasMore ? encodeCursor(lastRead, NEWEST_FIRST) : null
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getFeed
+};
@@ -0,0 +1,232 @@
+const Follow = require('../models/Follow');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Block = require('../models/Block');
+const { canViewPrivateProfile } = require('../utils/privacy');
+const { NEWEST_FIRST, getPaginationParams, paginate } = require('../utils/pagination');
+
+// Load an active user whose follow list is requested, sending 404/403 if the
+// caller may not see it
+const getVisibleUser = async (req, res) => {
+  const user = await User.findById(req.params.userId);
+  
+  if (!user || !user.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+  
+  if (!(await canViewPrivateProfile(req.user, user))) {
+    res.status(403).json({
+      success: false,
+      message: 'This account is private'
+    });
+    return null;
+  }
+  
+  return user;
+};
+
+// @desc    Follow or unfollow a user, or request to follow a private account
+// @route   POST /api/follows/:userId
+// @access  Private
+const toggleFollow = async (req, res, next) => {
+  try {
+    if (req.userId.equals(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot follow yourself'
+      });
+    }
+    
+    const user = await User.findById(req.params.userId);
+    
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (await Block.isBlockedBetween(req.userId, user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot follow this user'
+      });
+    }
+    
+    const result = await Follow.toggleFollow(req.userId, user._id, user.privacy.isPrivate);
+    
+    if (result.requested) {
+      await Notification.createFollowRequestNotification(req.userId, user._id);
+    } else if (result.following) {
+      await Notification.createFollowNotification(req.userId, user._id);
+    }
+    
+    res.json({
+      success: true,
+      message: result.message,
+      following: result.following,
+      requested: result.requested
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a user's followers
+// @route   GET /api/follows/followers/:userId
+// @access  Public (approved followers only for private accounts)
+const getFollowers = async (req, res, next) => {
+  try {
+    const { cursor, after, page, limit, fetchLimit, skip, includeTotal } = getPaginationParams(req.query, NEWEST_FIRST);
+    
+    const user = await getVisibleUser(req, res);
+    if (!user) return;
+    
+    const [follows, total] = await Promise.all([
+      Follow.getFollowers(user._id, fetchLimit, skip, after),
+      includeTotal ? Follow.countDocuments({ following: user._id, isActive: true }) : null
+    ]);
+    const { items, pagination } = paginate(follows, { limit, page, cursor, sort: NEWEST_FIRST, total });
+    
+    res.json({
+      success: true,
+      data: {
+        followers: items.map(follow => follow.follower).filter(Boolean),
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the users a user is following
+// @route   GET /api/follows/following/:userId
+// @access  Public (approved followers only for private accounts)
+const getFollowing = async (req, res, next) => {
+  try {
+    const { cursor, after, page, limit, fetchLimit, skip, includeTotal } = getPaginationParams(req.query, NEWEST_FIRST);
+    
+    const user = await getVisibleUser(req, res);
+    if (!user) return;
+    
+    const [follows, total] = await Promise.all([
+      Follow.getFollowing(user._id, fetchLimit, skip, after),
+      includeTotal ? Follow.countDocuments({ follower: user._id, isActive: true }) : null
+    ]);
+    const { items, pagination } = paginate(follows, { limit, page, cursor, sort: NEWEST_FIRST, total });
+    
+    res.json({
+      success: true,
+      data: {
+        following: items.map(follow => follow.following).filter(Boolean),
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List follow requests waiting for your approval
+// @route   GET /api/follows/requests
+// @access  Private
+const getFollowRequests = async (req, res, next) => {
+  try {
+    const { cursor, after, page, limit, fetchLimit, skip, includeTotal } = getPaginationParams(req.query, NEWEST_FIRST);
+    
+    const [requests, total] = await Promise.all([
+      Follow.getPendingRequests(req.userId, fetchLimit, skip, after),
+      includeTotal ? Follow.countDocuments({ following: req.userId, isActive: false }) : null
+    ]);
+    const { items, pagination } = paginate(requests, { limit, page, cursor, sort: NEWEST_FIRST, total });
+    
+    res.json({
+      success: true,
+      data: {
+        requests: items.map(request => ({
+          id: request._id,
+          user: request.follower,
+          requestedAt: request.createdAt
+        })),
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Find a pending request addressed to the current user
+const findPendingRequest = (req) => {
+  return Follow.findOne({
+    _id: req.params.id,
+    following: req.userId,
+    isActive: false
+  });
+};
+
+// @desc    Approve a follow request
+// @route   POST /api/follows/requests/:id/approve
+// @access  Private
+const approveFollowRequest = async (req, res, next) => {
+  try {
+    const request = await findPendingRequest(req);
+    
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow request not found'
+      });
+    }
+    
+    await request.approve();
+    await Notification.createFollowApprovedNotification(request.follower, req.userId);
+    
+    res.json({
+      success: true,
+      message: 'Follow request approved'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reject a follow request
+// @route   POST /api/follows/requests/:id/reject
+// @access  Private
+const rejectFollowRequest = async (req, res, next) => {
+  try {
+    const request = await findPendingRequest(req);
+    
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Follow request not found'
+      });
+    }
+    
+    // The requester is not told; they can ask again later
+    await request.deleteOne();
+    
+    res.json({
+      success: true,
+      message: 'Follow request rejected'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  toggleFollow,
+  getFollowers,
+  getFollowing,
+  getFollowRequests,
+  approveFollowRequest,
+  rejectFollowRequest
+};
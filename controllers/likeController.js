@@ -3,6 +3,7 @@ const Story = require('../models/Story');
 const Chapter = require('../models/Chapter');
 const Comment = require('../models/Comment');
 const Notification = require('../models/Notification');
+const { NEWEST_FIRST, getPaginationParams, paginate } = require('../utils/pagination');
 
 // @desc    Toggle like on story/chapter/comment
 // @route   POST /api/likes/:targetType/:targetId
@@ -77,34 +78,19 @@ const toggleLike = async (req, res, next) => {
 // @access  Private
 const getUserLikedStories = async (req, res, next) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const { cursor, after, page, limit, fetchLimit, skip, includeTotal } = getPaginationParams(req.query, NEWEST_FIRST);
     
-    const likedStories = await Like.getUserLikedStories(
-      req.userId,
-      parseInt(limit),
-      skip
-    );
-    
-    const total = await Like.countDocuments({
-      user: req.userId,
-      type: 'story'
-    });
-    
-    const totalPages = Math.ceil(total / limit);
+    const [likes, total] = await Promise.all([
+      Like.getUserLikedStories(req.userId, fetchLimit, skip, after),
+      includeTotal ? Like.countDocuments({ user: req.userId, type: 'story' }) : null
+    ]);
+    const { items, pagination } = paginate(likes, { limit, page, cursor, sort: NEWEST_FIRST, total });
     
     res.json({
       success: true,
       data: {
-        stories: likedStories.map(like => like.story),
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          totalPages,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
+        stories: items.map(like => like.story),
+        pagination
       }
     });
   } catch (error) {
@@ -0,0 +1,34 @@
+const Notification = require('../models/Notification');
+const { NEWEST_FIRST, getPaginationParams, paginate } = require('../utils/pagination');
+
+// @desc    Get your notifications, newest first
+// @route   GET /api/notifications
+// @access  Private
+const getNotifications = async (req, res, next) => {
+  try {
+    const { cursor, after, page, limit, fetchLimit, skip, includeTotal } = getPaginationParams(req.query, NEWEST_FIRST);
+    const unreadOnly = String(req.query.unreadOnly) === 'true';
+    const query = { recipient: req.userId };
+    if (unreadOnly) query.isRead = false;
+    
+    const [notifications, total] = await Promise.all([
+      Notification.getUserNotifications(req.userId, fetchLimit, skip, unreadOnly, after),
+      includeTotal ? Notification.countDocuments(query) : null
+    ]);
+    const { items, pagination } = paginate(notifications, { limit, page, cursor, sort: NEWEST_FIRST, total });
+    
+    res.json({
+      success: true,
+      data: {
+        notifications: items,
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications
+};
@@ -0,0 +1,317 @@
+const User = require('../models/User');
+const OAuthState = require('../models/OAuthState');
+const { getOAuthProviders, getOAuthProvider } = require('../config/oauth');
+const {
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  fetchProfile
+} = require('../utils/oauth');
+const { createRandomToken, hashToken } = require('../utils/tokens');
+const { refuseInactiveLogin, continueLogin } = require('../utils/login');
+
+// Store a pending sign-in and build the provider URL to send the user to
+const beginAuthorization = async (provider, intent, userId = null) => {
+  const state = createRandomToken();
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const ttlMinutes = parseInt(process.env.OAUTH_STATE_EXPIRES_MINUTES) || 10;
+  
+  await OAuthState.create({
+    stateHash: hashToken(state),
+    provider: provider.id,
+    codeVerifier,
+    intent,
+    user: userId,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+  
+  return buildAuthorizationUrl(provider, { state, codeChallenge });
+};
+
+// Summarize a user's linked identities for responses
+const describeIdentities = (user) => {
+  return user.identities.map(identity => ({
+    provider: identity.provider,
+    email: identity.email,
+    linkedAt: identity.linkedAt
+  }));
+};
+
+// Attach the provider identity to the signed-in user who started linking
+const linkIdentity = async (provider, profile, state, res) => {
+  const user = await User.findById(state.user);
+  
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'User not found or inactive'
+    });
+  }
+  
+  const owner = await User.findByIdentity(provider.id, profile.subject);
+  
+  if (owner && !owner._id.equals(user._id)) {
+    return res.status(409).json({
+      success: false,
+      message: `This ${provider.name} account is already linked to another user`
+    });
+  }
+  
+  if (!owner) {
+    if (user.identities.some(identity => identity.provider === provider.id)) {
+      return res.status(409).json({
+        success: false,
+        message: `Unlink your current ${provider.name} account first`
+      });
+    }
+    
+    user.identities.push({
+      provider: provider.id,
+      subject: profile.subject,
+      email: profile.email
+    });
+    await user.save();
+  }
+  
+  res.json({
+    success: true,
+    message: `${provider.name} account linked successfully`,
+    data: {
+      identities: describeIdentities(user)
+    }
+  });
+};
+
+// Create an account for a first-time social sign-in. Responds and returns
+// null if no account can be created.
+const createUserFromProfile = async (provider, profile, res) => {
+  if (!profile.email || !profile.emailVerified) {
+    res.status(400).json({
+      success: false,
+      message: `Your ${provider.name} account has no verified email address`
+    });
+    return null;
+  }
+  
+  // Never attach an identity to an existing account without its owner signing in
+  if (await User.exists({ email: profile.email })) {
+    res.status(409).json({
+      success: false,
+      message: `An account with this email already exists. Log in and link ${provider.name} from your account settings.`
+    });
+    return null;
+  }
+  
+  const username = await User.generateUniqueUsername(
+    profile.username || profile.email.split('@')[0]
+  );
+  
+  const user = new User({
+    username,
+    email: profile.email,
+    fullName: (profile.name || username).slice(0, 50),
+    profilePicture: profile.picture || null,
+    isVerified: true,
+    emailVerifiedAt: new Date(),
+    identities: [{
+      provider: provider.id,
+      subject: profile.subject,
+      email: profile.email
+    }]
+  });
+  
+  await user.save();
+  return user;
+};
+
+// @desc    List enabled social login providers
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+const getProviders = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        providers: getOAuthProviders().map(provider => ({
+          id: provider.id,
+          name: provider.name
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start social login - returns the provider authorization URL
+// @route   GET /api/auth/oauth/:provider
+// @access  Public
+const startOAuthLogin = async (req, res, next) => {
+  try {
+    const provider = getOAuthProvider(req.params.provider);
+    
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login provider not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        authorizationUrl: await beginAuthorization(provider, 'login')
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start linking a provider account to the current user
+// @route   POST /api/auth/oauth/:provider/link
+// @access  Private
+const startOAuthLink = async (req, res, next) => {
+  try {
+    const provider = getOAuthProvider(req.params.provider);
+    
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login provider not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        authorizationUrl: await beginAuthorization(provider, 'link', req.userId)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Finish social login or linking with the provider's authorization code
+// @route   POST /api/auth/oauth/:provider/callback
+// @access  Public (linking: the user who started it)
+const oauthCallback = async (req, res, next) => {
+  try {
+    const provider = getOAuthProvider(req.params.provider);
+    
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login provider not found'
+      });
+    }
+    
+    const state = await OAuthState.consume(req.body.state, provider.id);
+    
+    if (!state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Login request is invalid or has expired. Please try again.'
+      });
+    }
+    
+    // A link must be finished by the user who started it. Otherwise someone
+    // could send their link URL to a victim and get the victim's provider
+    // account attached to their own, signing the victim into it later.
+    if (state.intent === 'link' && !(req.userId && req.userId.equals(state.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Log in to the account that started linking to finish it'
+      });
+    }
+    
+    const accessToken = await exchangeCode(provider, {
+      code: req.body.code,
+      codeVerifier: state.codeVerifier
+    });
+    const profile = await fetchProfile(provider, accessToken);
+    
+    if (state.intent === 'link') {
+      return linkIdentity(provider, profile, state, res);
+    }
+    
+    let user = await User.findByIdentity(provider.id, profile.subject);
+    
+    if (!user) {
+      user = await createUserFromProfile(provider, profile, res);
+      if (!user) return;
+    }
+    
+    if (await refuseInactiveLogin(req, res, user, provider.id)) return;
+    
+    await continueLogin(user, req, res, provider.id);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's linked provider accounts
+// @route   GET /api/auth/oauth/identities
+// @access  Private
+const getIdentities = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('+password');
+    
+    res.json({
+      success: true,
+      data: {
+        hasPassword: Boolean(user.password),
+        identities: describeIdentities(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlink a provider account from the current user
+// @route   DELETE /api/auth/oauth/:provider
+// @access  Private
+const unlinkIdentity = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('+password');
+    const providerId = req.params.provider;
+    
+    if (!user.identities.some(identity => identity.provider === providerId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No linked account for this provider'
+      });
+    }
+    
+    if (!user.hasOtherLoginMethod(providerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password or link another provider before unlinking your only login method'
+      });
+    }
+    
+    user.identities = user.identities.filter(identity => identity.provider !== providerId);
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: 'Account unlinked successfully',
+      data: {
+        identities: describeIdentities(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  oauthCallback,
+  getIdentities,
+  unlinkIdentity
+};
@@ -0,0 +1,246 @@
+const User = require('../models/User');
+const DataExport = require('../models/DataExport');
+const Session = require('../models/Session');
+const { getExportPath, processPendingExports } = require('../utils/dataExport');
+const { hasPermission } = require('../utils/permissions');
+const { sendAccountDeletionScheduledEmail } = require('../utils/emails');
+
+// Shape an export for responses - the file location stays on the server
+const describeExport = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  size: dataExport.size,
+  error: dataExport.error,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  downloadable: dataExport.isDownloadable()
+});
+
+// Shape the deletion schedule for responses
+const describeDeletion = (user) => ({
+  requestedAt: user.deletion.requestedAt,
+  scheduledFor: user.deletion.scheduledFor,
+  storyAction: user.deletion.storyAction,
+  transferTo: user.deletion.transferTo
+});
+
+// @desc    Request a downloadable copy of your data
+// @route   POST /api/auth/export
+// @access  Private
+const requestDataExport = async (req, res, next) => {
+  try {
+    const minutes = parseInt(process.env.DATA_EXPORT_INTERVAL_MINUTES) || 60;
+    const recentExport = await DataExport.findOne({
+      user: req.userId,
+      createdAt: { $gt: new Date(Date.now() - minutes * 60 * 1000) }
+    });
+    
+    if (recentExport) {
+      return res.status(429).json({
+        success: false,
+        message: `You can request a data export once every ${minutes} minutes`,
+        data: { export: describeExport(recentExport) }
+      });
+    }
+    
+    const dataExport = await DataExport.create({ user: req.userId });
+    
+    // Built in the background; the user is emailed when it is ready
+    setImmediate(() => {
+      processPendingExports(dataExport._id).catch(error => {
+        console.error('Data export error:', error);
+      });
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: 'Your data export is being prepared. We will email you when it is ready.',
+      data: { export: describeExport(dataExport) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List your data exports
+// @route   GET /api/auth/export
+// @access  Private
+const getDataExports = async (req, res, next) => {
+  try {
+    const userExports = await DataExport.getUserExports(req.userId);
+    
+    res.json({
+      success: true,
+      data: {
+        exports: userExports.map(describeExport)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download a ready data export
+// @route   GET /api/auth/export/:id/download
+// @access  Private
+const downloadDataExport = async (req, res, next) => {
+  try {
+    const dataExport = await DataExport.findOne({
+      _id: req.params.id,
+      user: req.userId
+    }).select('+fileName');
+    
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data export not found'
+      });
+    }
+    
+    if (!dataExport.isDownloadable()) {
+      return res.status(400).json({
+        success: false,
+        message: dataExport.status === 'ready'
+          ? 'This data export has expired. Please request a new one.'
+          : 'This data export is not ready for download'
+      });
+    }
+    
+    const fileName = `chatpad-data-${dataExport.createdAt.toISOString().slice(0, 10)}.tar.gz`;
+    
+    res.download(getExportPath(dataExport), fileName, (error) => {
+      if (error && !res.headersSent) next(error);
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get your account's deletion schedule
+// @route   GET /api/auth/delete-account
+// @access  Private
+const getAccountDeletion = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+    
+    res.json({
+      success: true,
+      data: {
+        deletion: user.deletion.scheduledFor ? describeDeletion(user) : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Schedule your account for permanent deletion after a grace period
+// @route   POST /api/auth/delete-account
+// @access  Private
+const scheduleAccountDeletion = async (req, res, next) => {
+  try {
+    const { password, storyAction = 'delete', transferTo } = req.body;
+    const user = await User.findById(req.userId).select('+password');
+    
+    if (user.deletion.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is already scheduled for deletion'
+      });
+    }
+    
+    // Accounts that only sign in through a provider have no password to confirm
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+    
+    if (storyAction === 'transfer') {
+      const recipient = await User.findById(transferTo);
+      
+      if (!recipient || !recipient.isActive || recipient._id.equals(user._id) ||
+          recipient.deletion.scheduledFor) {
+        return res.status(400).json({
+          success: false,
+          message: 'Stories can only be transferred to another active account'
+        });
+      }
+      
+      if (!(await hasPermission(recipient, 'story.create'))) {
+        return res.status(400).json({
+          success: false,
+          message: 'The selected user cannot publish stories'
+        });
+      }
+    }
+    
+    const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+    const scheduledFor = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    
+    user.deletion = {
+      requestedAt: new Date(),
+      scheduledFor,
+      storyAction,
+      transferTo: storyAction === 'transfer' ? transferTo : null
+    };
+    await user.save();
+    
+    // Other devices are signed out; this session stays so the user can cancel
+    await Session.revokeAllForUser(user._id, 'account_deletion', req.sessionId);
+    
+    sendAccountDeletionScheduledEmail(user, scheduledFor).catch(error => {
+      console.error('Account deletion email error:', error);
+    });
+    
+    res.json({
+      success: true,
+      message: `Your account will be permanently deleted on ${scheduledFor.toUTCString()}. You can cancel until then.`,
+      data: { deletion: describeDeletion(user) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/auth/delete-account/cancel
+// @access  Private
+const cancelAccountDeletion = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+    
+    if (!user.deletion.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not scheduled for deletion'
+      });
+    }
+    
+    user.deletion = {
+      requestedAt: null,
+      scheduledFor: null,
+      storyAction: 'delete',
+      transferTo: null
+    };
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  getAccountDeletion,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+};
@@ -0,0 +1,139 @@
+const ReadingHistory = require('../models/ReadingHistory');
+const User = require('../models/User');
+const { cursorFilter, getPaginationParams, paginate } = require('../utils/pagination');
+
+// Most recently read first; _id breaks ties between entries read together
+const HISTORY_ORDER = { readAt: -1, _id: -1 };
+
+// @desc    Browse your reading history, newest first
+// @route   GET /api/reading-history
+// @access  Private
+const getReadingHistory = async (req, res, next) => {
+  try {
+    const { cursor, after, page, limit, fetchLimit, skip, includeTotal } = getPaginationParams(req.query, HISTORY_ORDER);
+    const { from, to } = req.query;
+    const query = { user: req.userId };
+    
+    // Dates without a time cover the whole day
+    if (from || to) {
+      query.readAt = {};
+      if (from) query.readAt.$gte = new Date(String(from));
+      if (to) {
+        const end = new Date(String(to));
+        if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) end.setUTCHours(23, 59, 59, 999);
+        query.readAt.$lte = end;
+      }
+    }
+    
+    const [entries, total] = await Promise.all([
+      ReadingHistory.find(after ? { ...query, ...cursorFilter(HISTORY_ORDER, after) } : query)
+        .populate({
+          path: 'story',
+          select: 'title coverImage genre author',
+          populate: { path: 'author', select: 'username fullName' }
+        })
+        .populate('chapter', 'title chapterNumber')
+        .sort(HISTORY_ORDER)
+        .skip(skip)
+        .limit(fetchLimit),
+      includeTotal ? ReadingHistory.countDocuments(query) : null
+    ]);
+    const { items, pagination } = paginate(entries, { limit, page, cursor, sort: HISTORY_ORDER, total });
+    
+    res.json({
+      success: true,
+      data: {
+        // Stories deleted since they were read show up without details
+        entries: items.map(entry => ({
+          id: entry._id,
+          story: entry.story,
+          chapter: entry.chapter,
+          readAt: entry.readAt
+        })),
+        paused: req.user.readingHistory.paused,
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove an entry from your reading history
+// @route   DELETE /api/reading-history/:id
+// @access  Private
+const deleteHistoryEntry = async (req, res, next) => {
+  try {
+    const { deletedCount } = await ReadingHistory.deleteOne({
+      _id: req.params.id,
+      user: req.userId
+    });
+    
+    if (!deletedCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'History entry not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'History entry removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Clear your reading history
+// @route   DELETE /api/reading-history
+// @access  Private
+const clearReadingHistory = async (req, res, next) => {
+  try {
+    const { deletedCount } = await ReadingHistory.deleteMany({ user: req.userId });
+    
+    res.json({
+      success: true,
+      message: 'Reading history cleared',
+      data: { deletedCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Pause or resume reading history collection
+// @route   PUT /api/reading-history/settings
+// @access  Private
+const updateHistorySettings = async (req, res, next) => {
+  try {
+    const { paused } = req.body;
+    
+    const user = await User.findByIdAndUpdate(
+      req.userId,
+      {
+        'readingHistory.paused': paused,
+        'readingHistory.pausedAt': paused ? new Date() : null
+      },
+      { new: true }
+    );
+    
+    res.json({
+      success: true,
+      message: paused ? 'Reading history paused' : 'Reading history resumed',
+      data: {
+        paused: user.readingHistory.paused,
+        pausedAt: user.readingHistory.pausedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getReadingHistory,
+  deleteHistoryEntry,
+  clearReadingHistory,
+  updateHistorySettings
+};
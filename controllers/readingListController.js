@@ -0,0 +1,301 @@
+const ReadingList = require('../models/ReadingList');
+const Story = require('../models/Story');
+const User = require('../models/User');
+const Block = require('../models/Block');
+const { isOwner } = require('../utils/permissions');
+const { canViewPrivateProfile } = require('../utils/privacy');
+
+// Shape a list for responses, without its stories
+const describeList = (list) => ({
+  id: list._id,
+  name: list.name,
+  description: list.description,
+  visibility: list.visibility,
+  isDefault: list.isDefault,
+  storiesCount: list.storiesCount,
+  createdAt: list.createdAt,
+  updatedAt: list.updatedAt
+});
+
+// Find one of the current user's lists, sending 404 if it is not theirs
+const findOwnList = async (req, res) => {
+  const list = await ReadingList.findOne({ _id: req.params.id, user: req.userId });
+  
+  if (!list) {
+    res.status(404).json({
+      success: false,
+      message: 'Reading list not found'
+    });
+  }
+  
+  return list;
+};
+
+// @desc    Get your reading lists
+// @route   GET /api/reading-lists
+// @access  Private
+const getMyReadingLists = async (req, res, next) => {
+  try {
+    const lists = await ReadingList.getUserLists(req.userId);
+    
+    res.json({
+      success: true,
+      data: {
+        lists: lists.map(describeList)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a reading list
+// @route   POST /api/reading-lists
+// @access  Private
+const createReadingList = async (req, res, next) => {
+  try {
+    const { name, description, visibility } = req.body;
+    
+    // Make sure the default lists exist before the first custom one
+    await ReadingList.getUserLists(req.userId);
+    
+    if (await ReadingList.exists({ user: req.userId, name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a reading list with this name'
+      });
+    }
+    
+    const list = await ReadingList.create({
+      user: req.userId,
+      name,
+      description,
+      visibility
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Reading list created',
+      data: { list: describeList(list) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a reading list with its stories
+// @route   GET /api/reading-lists/:id
+// @access  Public (public lists) / Private (your own lists)
+const getReadingList = async (req, res, next) => {
+  try {
+    const list = await ReadingList.findById(req.params.id);
+    const owner = list && await User.findById(list.user);
+    const isListOwner = Boolean(req.user) && Boolean(list) && isOwner(req.user, list.user);
+    
+    // Private lists, lists of inactive or private accounts and lists of users
+    // who blocked the viewer all look like they do not exist
+    const canView = list && owner && (isListOwner || (
+      list.visibility === 'public' &&
+      owner.isActive &&
+      await canViewPrivateProfile(req.user, owner) &&
+      !(req.userId && await Block.isHiddenFrom(owner._id, req.userId))
+    ));
+    
+    if (!canView) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reading list not found'
+      });
+    }
+    
+    const hiddenUserIds = req.userId ? await Block.getHiddenUserIds(req.userId) : [];
+    
+    await list.populate({
+      path: 'stories.story',
+      match: {
+        visibility: 'public',
+        status: { $ne: 'draft' },
+        isAuthorInactive: { $ne: true },
+        author: { $nin: hiddenUserIds }
+      },
+      select: 'title description coverImage genre status author averageRating totalViews readingListsCount',
+      populate: { path: 'author', select: 'username fullName profilePicture' }
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        list: describeList(list),
+        owner: {
+          id: owner._id,
+          username: owner.username,
+          fullName: owner.fullName,
+          profilePicture: owner.profilePicture
+        },
+        stories: list.stories
+          .filter(item => item.story)
+          .map(item => ({ story: item.story, addedAt: item.addedAt }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename a reading list or change its description or visibility
+// @route   PUT /api/reading-lists/:id
+// @access  Private
+const updateReadingList = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    
+    const { name, description, visibility } = req.body;
+    
+    if (name !== undefined && name !== list.name &&
+        await ReadingList.exists({ user: req.userId, name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a reading list with this name'
+      });
+    }
+    
+    if (name !== undefined) list.name = name;
+    if (description !== undefined) list.description = description;
+    if (visibility !== undefined) list.visibility = visibility;
+    await list.save();
+    
+    res.json({
+      success: true,
+      message: 'Reading list updated',
+      data: { list: describeList(list) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a reading list
+// @route   DELETE /api/reading-lists/:id
+// @access  Private
+const deleteReadingList = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    
+    if (list.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: 'Default reading lists cannot be deleted'
+      });
+    }
+    
+    await list.deleteOne();
+    
+    res.json({
+      success: true,
+      message: 'Reading list deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a story to a reading list
+// @route   POST /api/reading-lists/:id/stories
+// @access  Private
+const addStoryToList = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    
+    const story = await Story.findById(req.body.storyId);
+    const canSee = story && (isOwner(req.user, story.author) || (
+      story.visibility === 'public' &&
+      story.status !== 'draft' &&
+      !story.isAuthorInactive &&
+      !(await Block.isHiddenFrom(story.author, req.userId))
+    ));
+    
+    if (!canSee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+    
+    const added = await list.addStory(story._id);
+    
+    res.json({
+      success: true,
+      message: added ? 'Story added to reading list' : 'Story is already on this reading list',
+      data: { list: describeList(list) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a story from a reading list
+// @route   DELETE /api/reading-lists/:id/stories/:storyId
+// @access  Private
+const removeStoryFromList = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    
+    if (!(await list.removeStory(req.params.storyId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story is not on this reading list'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Story removed from reading list',
+      data: { list: describeList(list) }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rearrange the stories on a reading list
+// @route   PUT /api/reading-lists/:id/stories/order
+// @access  Private
+const reorderReadingList = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    
+    if (!(await list.reorder(req.body.storyIds))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Story ids must list every story on the reading list exactly once'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Reading list reordered',
+      data: {
+        list: describeList(list),
+        storyIds: list.stories.map(item => item.story)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyReadingLists,
+  createReadingList,
+  getReadingList,
+  updateReadingList,
+  deleteReadingList,
+  addStoryToList,
+  removeStoryFromList,
+  reorderReadingList
+};
@@ -0,0 +1,96 @@
+const ReadingProgress = require('../models/ReadingProgress');
+const Block = require('../models/Block');
+
+// @desc    Get the stories you are part-way through ("continue reading")
+// @route   GET /api/reading-progress
+// @access  Private
+const getContinueReading = async (req, res, next) => {
+  try {
+    const { limit = 10 } = req.query;
+    
+    const [entries, hiddenUserIds] = await Promise.all([
+      ReadingProgress.getContinueReading(req.userId, parseInt(limit)),
+      Block.getHiddenUserIds(req.userId)
+    ]);
+    const hidden = new Set(hiddenUserIds.map(id => id.toString()));
+    
+    // Stories that were deleted or are no longer readable drop off the list
+    const stories = entries
+      .filter(entry => entry.story && entry.chapter && entry.story.author &&
+        !entry.story.isAuthorInactive &&
+        !hidden.has(entry.story.author._id.toString()) &&
+        (entry.story.visibility === 'public' || entry.story.author._id.equals(req.userId)))
+      .map(entry => ({
+        story: {
+          _id: entry.story._id,
+          title: entry.story.title,
+          coverImage: entry.story.coverImage,
+          author: entry.story.author,
+          chaptersCount: entry.story.chaptersCount
+        },
+        chapter: entry.chapter,
+        paragraph: entry.paragraph,
+        chapterProgress: entry.chapterProgress,
+        percentComplete: entry.percentComplete,
+        lastReadAt: entry.lastReadAt
+      }));
+    
+    res.json({
+      success: true,
+      data: { stories }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get your reading progress in a story
+// @route   GET /api/reading-progress/:storyId
+// @access  Private
+const getStoryProgress = async (req, res, next) => {
+  try {
+    const progress = await ReadingProgress.findOne({
+      user: req.userId,
+      story: req.params.storyId
+    }).populate('chapter', 'title chapterNumber');
+    
+    res.json({
+      success: true,
+      data: { progress }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Forget your reading progress in a story
+// @route   DELETE /api/reading-progress/:storyId
+// @access  Private
+const deleteStoryProgress = async (req, res, next) => {
+  try {
+    const { deletedCount } = await ReadingProgress.deleteOne({
+      user: req.userId,
+      story: req.params.storyId
+    });
+    
+    if (!deletedCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'No reading progress for this story'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Reading progress removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getContinueReading,
+  getStoryProgress,
+  deleteStoryProgress
+};
@@ -0,0 +1,210 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+const { getUserPermissions, coversPermissions } = require('../utils/permissions');
+
+// Refuse role changes that would hand out permissions the caller does not
+// hold, so that role.manage cannot be used to escalate one's own access
+const refuseUncoveredPermissions = async (req, res, permissionSets) => {
+  const callerPermissions = await getUserPermissions(req.user);
+  
+  if (permissionSets.every(permissions => coversPermissions(callerPermissions, permissions))) {
+    return false;
+  }
+  
+  res.status(403).json({
+    success: false,
+    message: 'You cannot manage roles with permissions you do not have'
+  });
+  return true;
+};
+
+// @desc    List permissions that can be granted to roles
+// @route   GET /api/roles/permissions
+// @access  Private (role.manage)
+const getPermissions = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([permission, description]) => ({
+          permission,
+          description
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List built-in and custom roles
+// @route   GET /api/roles
+// @access  Private (role.manage)
+const getRoles = async (req, res, next) => {
+  try {
+    const customRoles = await Role.find().sort({ name: 1 });
+    
+    const builtInRoles = Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({
+      name,
+      description: role.description,
+      permissions: role.permissions,
+      builtIn: true
+    }));
+    
+    res.json({
+      success: true,
+      data: {
+        roles: [
+          ...builtInRoles,
+          ...customRoles.map(role => ({
+            name: role.name,
+            description: role.description,
+            permissions: role.permissions,
+            builtIn: false
+          }))
+        ]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a custom role
+// @route   POST /api/roles
+// @access  Private (role.manage)
+const createRole = async (req, res, next) => {
+  try {
+    const { name, description, permissions } = req.body;
+    
+    if (await refuseUncoveredPermissions(req, res, [permissions])) return;
+    
+    if (await Role.isDefined(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+    
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.userId
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a custom role's description or permissions
+// @route   PUT /api/roles/:name
+// @access  Private (role.manage)
+const updateRole = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    
+    if (Object.hasOwn(BUILT_IN_ROLES, name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be changed'
+      });
+    }
+    
+    const existing = await Role.findOne({ name });
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+    
+    const updates = {};
+    if (req.body.description !== undefined) updates.description = req.body.description;
+    if (req.body.permissions !== undefined) updates.permissions = [...new Set(req.body.permissions)];
+    
+    // Both the permissions the role has now and those it is given must be
+    // ones the caller holds
+    if (await refuseUncoveredPermissions(req, res, [existing.permissions, updates.permissions || []])) return;
+    
+    // Only apply the change if the permissions checked above are still the
+    // role's; a concurrent edit answers 409
+    const role = await Role.findOneAndUpdate(
+      { _id: existing._id, permissions: existing.permissions },
+      updates,
+      { new: true, runValidators: true }
+    );
+    
+    if (!role) {
+      return res.status(409).json({
+        success: false,
+        message: 'The role was changed by someone else. Please try again.'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a custom role that no user has
+// @route   DELETE /api/roles/:name
+// @access  Private (role.manage)
+const deleteRole = async (req, res, next) => {
+  try {
+    if (Object.hasOwn(BUILT_IN_ROLES, req.params.name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+    
+    const role = await Role.findOne({ name: req.params.name });
+    
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+    
+    const usersWithRole = await User.countDocuments({ role: role.name });
+    
+    if (usersWithRole > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${usersWithRole} user(s). Assign them another role first.`
+      });
+    }
+    
+    await role.deleteOne();
+    
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,85 @@
+const Session = require('../models/Session');
+
+// Shape a session for API responses
+const formatSession = (session, currentSessionId) => ({
+  id: session._id,
+  deviceLabel: session.deviceLabel,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  isCurrent: session._id.toString() === currentSessionId.toString()
+});
+
+// @desc    Get current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.userId);
+    
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.sessionId))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a single session (sign out a device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findActive(req.params.id, req.userId);
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    await session.revoke('user_revoked');
+    
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {
+        isCurrent: session._id.toString() === req.sessionId.toString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all sessions except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForUser(req.userId, 'user_revoked', req.sessionId);
+    
+    res.json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      data: {
+        revokedCount: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+};
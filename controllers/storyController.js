@@ -4,44 +4,86 @@ const Like = require('../models/Like');
 const Rating = require('../models/Rating');
 const Comment = require('../models/Comment');
 const User = require('../models/User');
+const Block = require('../models/Block');
+const ReadingList = require('../models/ReadingList');
+const ReadingHistory = require('../models/ReadingHistory');
+const { hasVerifiedEmail } = require('../middleware/auth');
+const { hasPermission, isOwner, canActOn } = require('../utils/permissions');
+const { buildTextSearch, getStoryHighlights, parseListParam } = require('../utils/search');
+const { NEWEST_FIRST, cursorFilter, getPaginationParams, paginate } = require('../utils/pagination');
 
-// @desc    Get all stories with filtering and pagination
+// Story fields that can be filtered on several values at once and are
+// counted in search facets
+const FACETED_FILTERS = ['genre', 'language', 'status', 'ageRating', 'warnings'];
+
+// @desc    Get stories with filtering, search, facet counts and pagination
 // @route   GET /api/stories
 // @access  Public
 const getStories = async (req, res, next) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      genre,
-      language,
-      sortBy = 'newest',
-      q,
-      status,
-      featured
-    } = req.query;
-    
-    const skip = (page - 1) * limit;
-    const query = { visibility: 'public' };
-    
-    // Add filters
-    if (genre) query.genre = genre;
-    if (language) query.language = language;
-    if (status) query.status = status;
+    const { q, featured, minWords, maxWords, updatedAfter, updatedBefore } = req.query;
+    
+    const query = {
+      visibility: 'public',
+      status: { $ne: 'draft' },
+      isAuthorInactive: { $ne: true }
+    };
+    
+    // Leave out authors the reader blocked or muted, or who blocked them
+    if (req.userId) {
+      query.author = { $nin: await Block.getHiddenUserIds(req.userId) };
+    }
+    
     if (featured === 'true') query.isFeatured = true;
     
-    // Search functionality
+    // Dates without a time cover the whole day
+    if (updatedAfter || updatedBefore) {
+      query.lastUpdated = {};
+      if (updatedAfter) query.lastUpdated.$gte = new Date(String(updatedAfter));
+      if (updatedBefore) {
+        const end = new Date(String(updatedBefore));
+        if (/^\d{4}-\d{2}-\d{2}$/.test(String(updatedBefore))) end.setUTCHours(23, 59, 59, 999);
+        query.lastUpdated.$lte = end;
+      }
+    }
+    
+    // Faceted filters take several values (genre=Fantasy,Romance) and can
+    // exclude values (excludeGenre=Horror)
+    const filters = {};
+    for (const field of FACETED_FILTERS) {
+      const include = parseListParam(req.query[field]);
+      const exclude = parseListParam(req.query[`exclude${field[0].toUpperCase()}${field.slice(1)}`]);
+      
+      if (include.length > 0 || exclude.length > 0) {
+        filters[field] = {};
+        if (include.length > 0) filters[field].$in = include;
+        if (exclude.length > 0) filters[field].$nin = exclude;
+      }
+    }
+    
+    if (minWords !== undefined || maxWords !== undefined) {
+      filters['metadata.wordCount'] = {};
+      if (minWords !== undefined) filters['metadata.wordCount'].$gte = parseInt(minWords);
+      if (maxWords !== undefined) filters['metadata.wordCount'].$lte = parseInt(maxWords);
+    }
+    
+    // Full-text search with prefix and typo expansion (see utils/search.js)
+    let search = null;
     if (q) {
-      query.$or = [
-        { title: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } },
-        { tags: { $in: [new RegExp(q, 'i')] } }
-      ];
+      search = await buildTextSearch(String(q));
+      
+      // A query with nothing searchable in it, e.g. only punctuation, finds nothing
+      if (search) query.$text = { $search: search.$search };
+      else query._id = { $in: [] };
     }
     
-    // Sorting
+    // Sorting; searches are ranked by relevance unless asked otherwise
+    const sortBy = req.query.sortBy ? String(req.query.sortBy) : (search ? 'relevance' : 'newest');
     let sort = {};
     switch (sortBy) {
+      case 'relevance':
+        sort = search ? { score: -1, publishedAt: -1 } : { publishedAt: -1 };
+        break;
       case 'oldest':
         sort = { publishedAt: 1 };
         break;
@@ -54,29 +96,50 @@ const getStories = async (req, res, next) => {
       case 'rating':
         sort = { averageRating: -1, ratingCount: -1 };
         break;
+      case 'updated':
+        sort = { lastUpdated: -1 };
+        break;
       default: // newest
         sort = { publishedAt: -1 };
     }
-    
-    const [stories, total] = await Promise.all([
-      Story.find(query)
-        .populate('author', 'username fullName profilePicture followersCount')
-        .sort(sort)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean(),
-      Story.countDocuments(query)
+    // Ties keep a stable order across pages
+    sort._id = -1;
+    
+    // Cursors are tied to the sort they were made for
+    const { cursor, after, page, limit, fetchLimit, skip, includeTotal } = getPaginationParams(req.query, sort);
+    
+    // Facets cost a pass over every matching story, so they are only counted
+    // when asked for
+    const [found, total, facets] = await Promise.all([
+      Story.findPage(query, filters, {
+        sort,
+        after: after ? cursorFilter(sort, after) : null,
+        skip,
+        limit: fetchLimit,
+        withScore: Boolean(search),
+        populate: { path: 'author', select: 'username fullName profilePicture followersCount isVerifiedAuthor' }
+      }),
+      includeTotal ? Story.countDocuments({ $and: [query, filters] }) : null,
+      String(req.query.facets) === 'true' ? Story.countFacets(query, filters) : null
     ]);
+    const { items: stories, pagination } = paginate(found, { limit, page, cursor, sort, total });
+    
+    if (search) {
+      for (const story of stories) {
+        story.search = {
+          score: story.score,
+          highlights: getStoryHighlights(story, search)
+        };
+        delete story.score;
+      }
+    }
     
     // Add additional data for authenticated users
     if (req.userId) {
       for (let story of stories) {
         const [isLiked, isInReadingList] = await Promise.all([
           Like.isLikedBy(req.userId, story._id, 'story'),
-          User.exists({
-            _id: req.userId,
-            'readingList.story': story._id
-          })
+          ReadingList.exists({ user: req.userId, 'stories.story': story._id })
         ]);
         
         story.isLiked = !!isLiked;
@@ -84,20 +147,12 @@ const getStories = async (req, res, next) => {
       }
     }
     
-    const totalPages = Math.ceil(total / limit);
-    
     res.json({
       success: true,
       data: {
         stories,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          totalPages,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
+        facets,
+        pagination
       }
     });
   } catch (error) {
@@ -112,7 +167,8 @@ const getTrendingStories = async (req, res, next) => {
   try {
     const { limit = 10 } = req.query;
     
-    const stories = await Story.getTrending(parseInt(limit));
+    const hiddenUserIds = req.userId ? await Block.getHiddenUserIds(req.userId) : [];
+    const stories = await Story.getTrending(parseInt(limit), hiddenUserIds);
     
     res.json({
       success: true,
@@ -130,7 +186,8 @@ const getFeaturedStories = async (req, res, next) => {
   try {
     const { limit = 5 } = req.query;
     
-    const stories = await Story.getFeatured(parseInt(limit));
+    const hiddenUserIds = req.userId ? await Block.getHiddenUserIds(req.userId) : [];
+    const stories = await Story.getFeatured(parseInt(limit), hiddenUserIds);
     
     res.json({
       success: true,
@@ -147,7 +204,7 @@ const getFeaturedStories = async (req, res, next) => {
 const getStory = async (req, res, next) => {
   try {
     const story = await Story.findById(req.params.id)
-      .populate('author', 'username fullName profilePicture bio followersCount storiesCount')
+      .populate('author', 'username fullName profilePicture bio followersCount storiesCount isVerifiedAuthor')
       .populate({
         path: 'chapters',
         match: { status: 'published' },
@@ -163,7 +220,28 @@ const getStory = async (req, res, next) => {
     }
     
     // Check if story is accessible
-    if (story.visibility === 'private' && (!req.userId || story.author._id.toString() !== req.userId)) {
+    const canViewPrivate = req.user && (
+      isOwner(req.user, story.author) ||
+      await hasPermission(req.user, 'story.read.private')
+    );
+    
+    // Stories of deactivated or suspended authors are hidden from the public
+    if (story.isAuthorInactive && !canViewPrivate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+    
+    // Hidden from users the author blocked, and from readers who blocked or muted the author
+    if (req.userId && await Block.isHiddenFrom(story.author._id, req.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+    
+    if (story.visibility === 'private' && !canViewPrivate) {
       return res.status(403).json({
         success: false,
         message: 'This story is private'
@@ -173,22 +251,26 @@ const getStory = async (req, res, next) => {
     // Increment view count
     story.incrementViews();
     
+    if (req.user) {
+      ReadingHistory.record(req.user, story._id).catch(error => {
+        console.error('Reading history error:', error);
+      });
+    }
+    
     // Get additional data for authenticated users
     let additionalData = {};
     if (req.userId) {
-      const [isLiked, isInReadingList, userRating, isFollowing] = await Promise.all([
+      const [isLiked, readingLists, userRating, isFollowing] = await Promise.all([
         Like.isLikedBy(req.userId, story._id, 'story'),
-        User.exists({
-          _id: req.userId,
-          'readingList.story': story._id
-        }),
+        ReadingList.getListsWithStory(req.userId, story._id),
         Rating.getUserRating(req.userId, story._id),
         require('../models/Follow').isFollowing(req.userId, story.author._id)
       ]);
       
       additionalData = {
         isLiked: !!isLiked,
-        isInReadingList: !!isInReadingList,
+        isInReadingList: readingLists.length > 0,
+        readingLists, // Ids of your lists the story is on
         userRating: userRating ? userRating.value : null,
         isFollowingAuthor: !!isFollowing
       };
@@ -246,7 +328,7 @@ const createStory = async (req, res, next) => {
       $inc: { storiesCount: 1 }
     });
     
-    await story.populate('author', 'username fullName profilePicture');
+    await story.populate('author', 'username fullName profilePicture isVerifiedAuthor');
     
     res.status(201).json({
       success: true,
@@ -273,7 +355,7 @@ const updateStory = async (req, res, next) => {
     }
     
     // Check ownership
-    if (story.author.toString() !== req.userId && req.user.role !== 'admin') {
+    if (!(await canActOn(req.user, 'story.update', story.author))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this story'
@@ -292,6 +374,14 @@ const updateStory = async (req, res, next) => {
       }
     });
     
+    // Unverified users can keep drafts but not publish them
+    if (updates.status && updates.status !== 'draft' && !hasVerifiedEmail(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before publishing stories'
+      });
+    }
+    
     // Handle cover image upload
     if (req.file) {
       const { getFileUrl, deleteFile } = require('../middleware/upload');
@@ -309,7 +399,7 @@ const updateStory = async (req, res, next) => {
       req.params.id,
       updates,
       { new: true, runValidators: true }
-    ).populate('author', 'username fullName profilePicture');
+    ).populate('author', 'username fullName profilePicture isVerifiedAuthor');
     
     res.json({
       success: true,
@@ -336,32 +426,18 @@ const deleteStory = async (req, res, next) => {
     }
     
     // Check ownership
-    if (story.author.toString() !== req.userId && req.user.role !== 'admin') {
+    if (!(await canActOn(req.user, 'story.delete', story.author))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this story'
       });
     }
     
-    // Delete associated data
-    await Promise.all([
-      Chapter.deleteMany({ story: story._id }),
-      Comment.deleteMany({ story: story._id }),
-      Like.deleteMany({ story: story._id }),
-      Rating.deleteMany({ story: story._id })
-    ]);
-    
-    // Delete cover image if exists
-    if (story.coverImage) {
-      const { deleteFile } = require('../middleware/upload');
-      const fileName = story.coverImage.split('/').pop();
-      deleteFile(`uploads/covers/${fileName}`);
-    }
-    
-    await story.deleteOne();
+    // Delete the story with its chapters, comments, likes and ratings
+    await story.deleteWithContent();
     
-    // Update user's story count
-    await User.findByIdAndUpdate(req.userId, {
+    // Update author's story count - moderators may delete other users' stories
+    await User.findByIdAndUpdate(story.author, {
       $inc: { storiesCount: -1 }
     });
     
@@ -380,42 +456,40 @@ const deleteStory = async (req, res, next) => {
 const getUserStories = async (req, res, next) => {
   try {
     const { userId } = req.params;
-    const { page = 1, limit = 20, status } = req.query;
-    const skip = (page - 1) * limit;
+    const { status } = req.query;
+    const { cursor, after, page, limit, fetchLimit, skip, includeTotal } = getPaginationParams(req.query, NEWEST_FIRST);
     
     const query = { author: userId };
     
     // If not the owner, only show public stories
-    if (!req.userId || req.userId !== userId) {
+    if (!req.user || !isOwner(req.user, userId)) {
       query.visibility = 'public';
       query.status = { $ne: 'draft' };
+      query.isAuthorInactive = { $ne: true };
+      
+      // Nothing is listed between blocked or muted users
+      if (req.userId && await Block.isHiddenFrom(userId, req.userId)) {
+        query.author = { $in: [] };
+      }
     } else if (status) {
       query.status = status;
     }
     
-    const [stories, total] = await Promise.all([
-      Story.find(query)
-        .populate('author', 'username fullName profilePicture')
-        .sort({ createdAt: -1 })
+    const [found, total] = await Promise.all([
+      Story.find(after ? { ...query, ...cursorFilter(NEWEST_FIRST, after) } : query)
+        .populate('author', 'username fullName profilePicture isVerifiedAuthor')
+        .sort(NEWEST_FIRST)
         .skip(skip)
-        .limit(parseInt(limit)),
-      Story.countDocuments(query)
+        .limit(fetchLimit),
+      includeTotal ? Story.countDocuments(query) : null
     ]);
-    
-    const totalPages = Math.ceil(total / limit);
+    const { items: stories, pagination } = paginate(found, { limit, page, cursor, sort: NEWEST_FIRST, total });
     
     res.json({
       success: true,
       data: {
         stories,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          totalPages,
-          hasNext: page < totalPages,
-          hasPrev: page > 1
-        }
+        pagination
       }
     });
   } catch (error) {
@@ -438,7 +512,7 @@ const getStoryAnalytics = async (req, res, next) => {
     }
     
     // Check ownership
-    if (story.author.toString() !== req.userId) {
+    if (!(await canActOn(req.user, 'story.analytics', story.author))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view analytics for this story'
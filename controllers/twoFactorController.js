@@ -0,0 +1,306 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const { startLogin } = require('../utils/login');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp');
+
+const TWO_FACTOR_FIELDS = '+password +twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// @desc    Get 2FA status for current user
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('+twoFactor.recoveryCodes');
+    
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+        required: await Setting.isTwoFactorRequired(user.role)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start 2FA enrolment - returns a new secret and otpauth URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or 2FA setup challenge token)
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+    
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    // Signed-in users confirm their password; challenge tokens were just issued for it
+    if (!req.twoFactorSetupChallenge && !(await user.comparePassword(req.body.password || ''))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+    
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: process.env.TWO_FACTOR_ISSUER || 'Storytelling Platform'
+        })
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm 2FA enrolment with a first code and get recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or 2FA setup challenge token)
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+    
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+    
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+    
+    // Sign out other devices that signed in without a second factor
+    if (req.sessionId) {
+      await Session.revokeAllForUser(user._id, 'two_factor_enabled', req.sessionId);
+    }
+    
+    // Users enrolling from the login challenge are signed in once enrolled,
+    // which counts as a sign-in like any other
+    const tokens = req.twoFactorSetupChallenge
+      ? await startLogin(user, req, req.twoFactorSetupChallenge.method)
+      : {};
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe - they will not be shown again.',
+      ...tokens,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (await Setting.isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+    
+    const isPasswordValid = await user.comparePassword(password || '');
+    
+    if (!isPasswordValid || !(await user.verifySecondFactor({ code, recoveryCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+    
+    await User.updateOne(
+      { _id: user._id },
+      {
+        'twoFactor.enabled': false,
+        'twoFactor.enabledAt': null,
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.recoveryCodes': 1,
+          'twoFactor.lastUsedStep': 1
+        }
+      }
+    );
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace recovery codes with a new set
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select(TWO_FACTOR_FIELDS);
+    
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (!(await user.verifySecondFactor({ code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) }
+    );
+    
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get 2FA policy
+// @route   GET /api/auth/2fa/policy
+// @access  Private (settings.manage)
+const getTwoFactorPolicy = async (req, res, next) => {
+  try {
+    const requiredRoles = await Setting.getValue('twoFactor.requiredRoles', []);
+    
+    res.json({
+      success: true,
+      data: {
+        requireForAdmins: requiredRoles.includes('admin')
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Require (or stop requiring) 2FA for admins
+// @route   PUT /api/auth/2fa/policy
+// @access  Private (settings.manage)
+const updateTwoFactorPolicy = async (req, res, next) => {
+  try {
+    const { requireForAdmins } = req.body;
+    
+    // Prevent admins from locking themselves out
+    if (requireForAdmins && !req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account first'
+      });
+    }
+    
+    const requiredRoles = await Setting.getValue('twoFactor.requiredRoles', []);
+    const updatedRoles = requireForAdmins
+      ? [...new Set([...requiredRoles, 'admin'])]
+      : requiredRoles.filter(role => role !== 'admin');
+    
+    await Setting.setValue('twoFactor.requiredRoles', updatedRoles, req.userId);
+    
+    // Sign out admins who have not enrolled so they must set up 2FA at next login
+    if (requireForAdmins) {
+      const unenrolledAdmins = await User.find({
+        role: 'admin',
+        'twoFactor.enabled': { $ne: true }
+      }).select('_id');
+      
+      await Promise.all(unenrolledAdmins.map(admin =>
+        Session.revokeAllForUser(admin._id, 'two_factor_required')
+      ));
+    }
+    
+    res.json({
+      success: true,
+      message: requireForAdmins
+        ? 'Two-factor authentication is now required for admins'
+        : 'Two-factor authentication is now optional for admins',
+      data: {
+        requireForAdmins: !!requireForAdmins
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy
+};
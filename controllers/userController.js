@@ -0,0 +1,420 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Story = require('../models/Story');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const ReadingList = require('../models/ReadingList');
+const Session = require('../models/Session');
+const { getUserPermissions, coversPermissions, isOwner } = require('../utils/permissions');
+const { canViewPrivateProfile } = require('../utils/privacy');
+const { describeBadges } = require('../utils/badges');
+const { cursorFilter, getPaginationParams, paginate } = require('../utils/pagination');
+
+// Profile fields that anyone may see in listings
+const PUBLIC_LISTING_FIELDS = 'username fullName profilePicture bio role isVerifiedAuthor followersCount storiesCount totalReads';
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Browse and search the user directory
+// @route   GET /api/users
+// @access  Public
+const getUsers = async (req, res, next) => {
+  try {
+    const {
+      q,
+      genres,
+      writers,
+      sortBy = 'followersCount'
+    } = req.query;
+    
+    // Ties are broken by id so that pages never overlap
+    const sort = { [sortBy]: -1, _id: -1 };
+    const { cursor, after, page, limit, fetchLimit, skip, includeTotal } = getPaginationParams(req.query, sort);
+    const query = { isActive: true };
+    
+    // usernameLower and fullNameLower are lowercase copies of the names, so
+    // a lowercased, case-sensitive prefix lets both indexes bound the scan
+    if (q) {
+      const prefix = new RegExp(`^${escapeRegex(String(q).trim().toLowerCase())}`);
+      query.$or = [{ usernameLower: prefix }, { fullNameLower: prefix }];
+    }
+    
+    if (genres) {
+      query['preferences.genres'] = { $in: String(genres).split(',').map(genre => genre.trim()) };
+    }
+    
+    // Writers are users whose role lets them publish stories
+    if (writers === 'true') {
+      query.role = { $in: await Role.getRolesWithPermission('story.create') };
+    }
+    
+    // The search may already use $or, so the cursor's own $or goes in an $and
+    const pageQuery = after ? { $and: [query, cursorFilter(sort, after)] } : query;
+    
+    const [users, total] = await Promise.all([
+      User.find(pageQuery)
+        .select(PUBLIC_LISTING_FIELDS)
+        .sort(sort)
+        .skip(skip)
+        .limit(fetchLimit)
+        .lean(),
+      includeTotal ? User.countDocuments(query) : null
+    ]);
+    const { items, pagination } = paginate(users, { limit, page, cursor, sort, total });
+    
+    res.json({
+      success: true,
+      data: {
+        users: items,
+        pagination
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Find a user by id, or by current or previous username
+const findUserByIdOrUsername = async (idOrUsername) => {
+  if (mongoose.isValidObjectId(idOrUsername)) {
+    const user = await User.findById(idOrUsername);
+    if (user) return { user, redirected: false };
+  }
+  
+  return User.resolveUsername(idOrUsername);
+};
+
+// @desc    Get a user's public profile by id or username
+// @route   GET /api/users/:id
+// @access  Public
+const getUserProfile = async (req, res, next) => {
+  try {
+    const { user, redirected } = await findUserByIdOrUsername(req.params.id);
+    
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const isProfileOwner = Boolean(req.user) && isOwner(req.user, user._id);
+    const { privacy } = user;
+    
+    const profile = {
+      id: user._id,
+      username: user.username,
+      fullName: user.fullName,
+      bio: user.bio,
+      profilePicture: user.profilePicture,
+      role: user.role,
+      isVerifiedAuthor: user.isVerifiedAuthor,
+      followersCount: user.followersCount,
+      followingCount: user.followingCount,
+      storiesCount: user.storiesCount,
+      totalReads: user.totalReads,
+      totalLikes: user.totalLikes,
+      joinedAt: user.joinedAt,
+      isPrivate: privacy.isPrivate,
+      badges: describeBadges(user.badges)
+    };
+    
+    // Personal details are only shown when the owner has chosen to share them
+    if (isProfileOwner || privacy.showEmail) {
+      profile.email = user.email;
+    }
+    
+    if (isProfileOwner || privacy.showPreferences) {
+      profile.preferences = {
+        genres: user.preferences.genres,
+        language: user.preferences.language
+      };
+    }
+    
+    // Blocked or muted users see each other's profile but not their stories
+    const isHidden = Boolean(req.userId) && !isProfileOwner &&
+      Boolean(await Block.isHiddenFrom(user._id, req.userId));
+    
+    // Public reading lists; private accounts only show them to approved followers
+    if (!isHidden && await canViewPrivateProfile(req.user, user)) {
+      const listQuery = { user: user._id };
+      if (!isProfileOwner) listQuery.visibility = 'public';
+      
+      const lists = await ReadingList.find(listQuery)
+        .select('name description visibility stories updatedAt')
+        .sort({ isDefault: -1, createdAt: 1 });
+      
+      profile.readingLists = lists.map(list => ({
+        id: list._id,
+        name: list.name,
+        description: list.description,
+        visibility: list.visibility,
+        storiesCount: list.storiesCount,
+        updatedAt: list.updatedAt
+      }));
+    }
+    
+    const stories = isHidden ? [] : await Story.find({
+      author: user._id,
+      visibility: 'public',
+      status: { $ne: 'draft' },
+      isAuthorInactive: { $ne: true }
+    })
+      .select('title description coverImage genre status publishedAt totalViews totalLikes averageRating')
+      .sort({ publishedAt: -1 })
+      .limit(10) // The rest are paginated at /api/stories/user/:userId
+      .lean();
+    
+    let relationship = {};
+    if (req.userId && !isProfileOwner) {
+      const [isFollowing, isFollowedBy, hasRequested, block] = await Promise.all([
+        Follow.isFollowing(req.userId, user._id),
+        Follow.isFollowing(user._id, req.userId),
+        Follow.exists({ follower: req.userId, following: user._id, isActive: false }),
+        Block.findOne({ blocker: req.userId, blocked: user._id }).select('type')
+      ]);
+      
+      relationship = {
+        isFollowing: !!isFollowing,
+        isFollowedBy: !!isFollowedBy,
+        hasRequested: !!hasRequested,
+        // Only your own blocks and mutes are revealed
+        isBlocked: block?.type === 'block',
+        isMuted: block?.type === 'mute'
+      };
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        user: profile,
+        stories,
+        ...relationship,
+        // Set when an old username was used, so clients can update their links
+        redirected
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resolve a current or previous username to the account
+// @route   GET /api/users/resolve/:username
+// @access  Public
+const resolveUsername = async (req, res, next) => {
+  try {
+    const { user, redirected } = await User.resolveUsername(req.params.username);
+    
+    if (!user || !user.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        id: user._id,
+        username: user.username,
+        redirected
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Clear failed login attempts and lift a temporary lockout
+// @route   POST /api/users/:id/unlock
+// @access  Private (user.unlock)
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    await user.resetFailedLogins();
+    
+    res.json({
+      success: true,
+      message: 'User account unlocked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private (user.role.assign)
+const assignUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    
+    if (req.userId.equals(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+    
+    if (!(await Role.isDefined(role))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role does not exist'
+      });
+    }
+    
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Nobody can grant or take away permissions they do not hold themselves
+    const [callerPermissions, currentPermissions, newPermissions] = await Promise.all([
+      getUserPermissions(req.user),
+      Role.getPermissions(user.role),
+      Role.getPermissions(role)
+    ]);
+    
+    if (
+      !coversPermissions(callerPermissions, currentPermissions) ||
+      !coversPermissions(callerPermissions, newPermissions)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot assign roles with permissions you do not have'
+      });
+    }
+    
+    user.role = role;
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: {
+        id: user._id,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Suspend a user, optionally until a date
+// @route   POST /api/users/:id/suspend
+// @access  Private (user.suspend)
+const suspendUser = async (req, res, next) => {
+  try {
+    const { reason, until } = req.body;
+    
+    if (req.userId.equals(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+    
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Moderators cannot suspend users who hold permissions they do not have
+    const [callerPermissions, userPermissions] = await Promise.all([
+      getUserPermissions(req.user),
+      getUserPermissions(user)
+    ]);
+    
+    if (!coversPermissions(callerPermissions, userPermissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot suspend users with permissions you do not have'
+      });
+    }
+    
+    await user.deactivate({
+      type: 'suspension',
+      reason,
+      by: req.userId,
+      until: until ? new Date(until) : null
+    });
+    await Session.revokeAllForUser(user._id, 'account_suspended');
+    
+    res.json({
+      success: true,
+      message: 'User suspended successfully',
+      data: {
+        id: user._id,
+        suspension: {
+          reason: user.deactivation.reason,
+          until: user.deactivation.until
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Lift a user's suspension
+// @route   POST /api/users/:id/reinstate
+// @access  Private (user.suspend)
+const reinstateUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Self-deactivated accounts can only be reactivated by their owner
+    if (!user.isSuspended()) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not suspended'
+      });
+    }
+    
+    await user.reactivate();
+    
+    res.json({
+      success: true,
+      message: 'User reinstated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserProfile,
+  resolveUsername,
+  unlockUser,
+  assignUserRole,
+  suspendUser,
+  reinstateUser
+};
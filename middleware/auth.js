@@ -1,5 +1,43 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const { createRandomToken, hashToken, verifyActionToken } = require('../utils/tokens');
+const { hasPermission, canActOn } = require('../utils/permissions');
+const { SESSION_ONLY_PERMISSIONS } = require('../config/permissions');
+
+// Load a personal API token and the user it belongs to
+const verifyApiToken = async (token) => {
+  const apiToken = await ApiToken.findActiveByToken(token);
+  
+  if (!apiToken) {
+    return { user: null, apiToken: null };
+  }
+  
+  const user = await User.findById(apiToken.user).select('-password');
+  return { user, apiToken };
+};
+
+// Verify an access token and load the user and session it belongs to.
+// Personal API tokens are resolved to their token document instead.
+const verifyAccessToken = async (token) => {
+  if (ApiToken.isApiToken(token)) {
+    return verifyApiToken(token);
+  }
+  
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  
+  if (!decoded.sid || decoded.purpose) {
+    return { user: null, session: null };
+  }
+  
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId).select('-password'),
+    Session.findActive(decoded.sid, decoded.userId)
+  ]);
+  
+  return { user, session };
+};
 
 // Middleware to authenticate JWT token
 const authenticate = async (req, res, next) => {
@@ -13,8 +51,7 @@ const authenticate = async (req, res, next) => {
       });
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const { user, session, apiToken } = await verifyAccessToken(token);
     
     if (!user) {
       return res.status(401).json({
@@ -23,6 +60,13 @@ const authenticate = async (req, res, next) => {
       });
     }
     
+    if (!session && !apiToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked.'
+      });
+    }
+    
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
@@ -32,6 +76,15 @@ const authenticate = async (req, res, next) => {
     
     req.user = user;
     req.userId = user._id;
+    
+    if (apiToken) {
+      apiToken.touch(req.ip).catch(error => console.error('API token update error:', error));
+      req.apiToken = apiToken;
+    } else {
+      session.touch().catch(error => console.error('Session update error:', error));
+      req.sessionId = session._id;
+    }
+    
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -56,18 +109,46 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Authentication for 2FA enrolment - also accepts the setup challenge token
+// issued at login to users whose role requires 2FA but who have not enabled it
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return authenticate(req, res, next);
+  }
+  
+  try {
+    const decoded = verifyActionToken(req.body.challengeToken, '2fa-setup');
+    const user = decoded && await User.findById(decoded.userId).select('-password');
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token.'
+      });
+    }
+    
+    req.user = user;
+    req.userId = user._id;
+    req.twoFactorSetupChallenge = { method: decoded.method || 'password' };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Optional authentication - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-password');
+      const { user, session, apiToken } = await verifyAccessToken(token);
       
-      if (user && user.isActive) {
+      if (user && (session || apiToken) && user.isActive) {
         req.user = user;
         req.userId = user._id;
+        if (apiToken) req.apiToken = apiToken;
+        else req.sessionId = session._id;
       }
     }
     
@@ -99,8 +180,75 @@ const authorize = (...roles) => {
   };
 };
 
-// Middleware to check if user is admin
-const requireAdmin = (req, res, next) => {
+// Middleware to require a permission granted by the user's role
+const can = (permission) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required.'
+        });
+      }
+      
+      if (req.apiToken && SESSION_ONLY_PERMISSIONS.includes(permission)) {
+        return res.status(403).json({
+          success: false,
+          message: 'API tokens cannot be used for this action. Sign in instead.'
+        });
+      }
+      
+      if (!(await hasPermission(req.user, permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Insufficient permissions.'
+        });
+      }
+      
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Middleware to require an API token scope. Signed-in sessions have full
+// access, so this only restricts requests made with personal API tokens.
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiToken && !req.apiToken.hasScope(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `This API token is missing the "${scope}" scope.`
+      });
+    }
+    
+    next();
+  };
+};
+
+// Middleware to keep API tokens away from account and security management
+const rejectApiTokens = (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  
+  if (ApiToken.isApiToken(token)) {
+    return res.status(403).json({
+      success: false,
+      message: 'API tokens cannot be used for this action. Sign in instead.'
+    });
+  }
+  
+  next();
+};
+
+// Check if user satisfies the email verification policy. Set
+// REQUIRE_EMAIL_VERIFICATION=false to let unverified users publish and comment.
+const hasVerifiedEmail = (user) => {
+  return process.env.REQUIRE_EMAIL_VERIFICATION === 'false' || !!user.isVerified;
+};
+
+// Middleware to require a verified email address
+const requireVerifiedEmail = (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -108,18 +256,19 @@ const requireAdmin = (req, res, next) => {
     });
   }
   
-  if (req.user.role !== 'admin') {
+  if (!hasVerifiedEmail(req.user)) {
     return res.status(403).json({
       success: false,
-      message: 'Admin access required.'
+      message: 'Please verify your email address to do this.'
     });
   }
   
   next();
 };
 
-// Middleware to check if user owns the resource
-const requireOwnership = (resourceModel, resourceIdParam = 'id') => {
+// Middleware to check that the user may act on a resource, either because
+// they own it (`<action>.own`) or may act on anyone's (`<action>.any`)
+const requireOwnership = (resourceModel, action, resourceIdParam = 'id') => {
   return async (req, res, next) => {
     try {
       if (!req.user) {
@@ -140,11 +289,9 @@ const requireOwnership = (resourceModel, resourceIdParam = 'id') => {
         });
       }
       
-      // Check if user is admin or owns the resource
-      const ownerField = resourceModel === 'User' ? '_id' : 'author';
       const ownerId = resourceModel === 'User' ? resource._id : resource.author;
       
-      if (req.user.role === 'admin' || req.user._id.toString() === ownerId.toString()) {
+      if (await canActOn(req.user, action, ownerId)) {
         req.resource = resource;
         next();
       } else {
@@ -163,20 +310,86 @@ const requireOwnership = (resourceModel, resourceIdParam = 'id') => {
   };
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m' }
   );
 };
 
+// Generate refresh token. Only the hash of its token id is stored server-side.
+const generateRefreshToken = (sessionId, tokenId) => {
+  return jwt.sign(
+    { sid: sessionId, jti: tokenId, type: 'refresh' },
+    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+    { expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '30d' }
+  );
+};
+
+// Verify refresh token signature and type
+const verifyRefreshToken = (refreshToken) => {
+  const decoded = jwt.verify(
+    refreshToken,
+    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
+  );
+  
+  if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti) {
+    throw new jwt.JsonWebTokenError('Invalid refresh token');
+  }
+  
+  return decoded;
+};
+
+// Get expiry date encoded in a signed token
+const getTokenExpiry = (token) => {
+  return new Date(jwt.decode(token).exp * 1000);
+};
+
+// Get client details recorded against a session
+const getClientInfo = (req) => {
+  return {
+    deviceName: req.body?.deviceName || req.header('X-Device-Name') || null,
+    userAgent: req.header('User-Agent')?.slice(0, 500) || null,
+    ipAddress: req.ip || null
+  };
+};
+
+// Start a new session for user and issue its access and refresh tokens
+const startSession = async (userId, req) => {
+  const tokenId = createRandomToken();
+  const session = new Session({
+    user: userId,
+    refreshTokenHash: hashToken(tokenId),
+    ...getClientInfo(req)
+  });
+  
+  const refreshToken = generateRefreshToken(session._id, tokenId);
+  session.expiresAt = getTokenExpiry(refreshToken);
+  await session.save();
+  
+  return {
+    token: generateToken(userId, session._id),
+    refreshToken
+  };
+};
+
 module.exports = {
   authenticate,
+  authenticateTwoFactorSetup,
   optionalAuth,
   authorize,
-  requireAdmin,
+  can,
+  requireScope,
+  rejectApiTokens,
+  hasVerifiedEmail,
+  requireVerifiedEmail,
   requireOwnership,
-  generateToken
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  getTokenExpiry,
+  getClientInfo,
+  startSession
 };
\ No newline at end of file
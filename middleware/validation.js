@@ -1,4 +1,7 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { API_TOKEN_SCOPES } = require('../config/apiScopes');
+const { PERMISSIONS } = require('../config/permissions');
+const { parseListParam } = require('../utils/search');
 
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -17,6 +20,13 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Password strength rules shared by every endpoint that sets a password
+const passwordRules = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number');
+
 // User validation rules
 const validateUserRegistration = [
   body('username')
@@ -32,11 +42,7 @@ const validateUserRegistration = [
     .withMessage('Please provide a valid email address')
     .normalizeEmail(),
   
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  passwordRules('password'),
   
   body('fullName')
     .trim()
@@ -86,6 +92,12 @@ const validateUserUpdate = [
     .isLength({ max: 500 })
     .withMessage('Bio cannot exceed 500 characters'),
   
+  body(['privacy.isPrivate', 'privacy.showEmail', 'privacy.showPreferences'])
+    .optional()
+    .isBoolean()
+    .withMessage('Privacy settings must be true or false')
+    .toBoolean(),
+  
   body('role')
     .optional()
     .isIn(['reader', 'writer', 'both'])
@@ -94,6 +106,391 @@ const validateUserUpdate = [
   handleValidationErrors
 ];
 
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors
+];
+
+const validateEmailVerification = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  
+  handleValidationErrors
+];
+
+const validateForgotPassword = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+const validateUsernameParam = [
+  param('username')
+    .matches(/^[a-zA-Z0-9_]{3,30}$/)
+    .withMessage('Invalid username'),
+  
+  handleValidationErrors
+];
+
+const validateReactivationRequest = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  
+  handleValidationErrors
+];
+
+const validateReactivation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reactivation token is required'),
+  
+  handleValidationErrors
+];
+
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  passwordRules('password'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorCode = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Provide a 6 digit authentication code or a recovery code'),
+  
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid recovery code'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorPolicy = [
+  body('requireForAdmins')
+    .isBoolean()
+    .withMessage('requireForAdmins must be a boolean')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+const validateOAuthCallback = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authorization code is required'),
+  
+  body('state')
+    .isString()
+    .notEmpty()
+    .withMessage('State is required'),
+  
+  handleValidationErrors
+];
+
+const validateApiTokenCreation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Token name must be between 1 and 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(Object.keys(API_TOKEN_SCOPES))
+    .withMessage('Invalid scope'),
+  
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expiresInDays must be between 1 and 365')
+    .toInt(),
+  
+  handleValidationErrors
+];
+
+// Role validation rules. Permissions are required when creating a role.
+const roleRules = (isUpdate) => [
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  
+  (isUpdate ? body('permissions').optional() : body('permissions'))
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Invalid permission')
+];
+
+const validateRoleCreation = [
+  body('name')
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{2,29}$/)
+    .withMessage('Role name must be 3-30 lowercase letters, numbers, dashes or underscores'),
+  
+  ...roleRules(false),
+  
+  handleValidationErrors
+];
+
+const validateRoleUpdate = [
+  ...roleRules(true),
+  
+  handleValidationErrors
+];
+
+const validateRoleAssignment = [
+  body('role')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Role is required'),
+  
+  handleValidationErrors
+];
+
+const validateSuspension = [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason must be between 1 and 500 characters'),
+  
+  body('until')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Until must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Until must be in the future'),
+  
+  handleValidationErrors
+];
+
+// Reading list validation rules
+const validateReadingList = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('List name must be between 1 and 60 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  body('visibility')
+    .optional()
+    .isIn(['public', 'private'])
+    .withMessage('Visibility must be public or private'),
+  
+  handleValidationErrors
+];
+
+const validateReadingListUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('List name must be between 1 and 60 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  
+  body('visibility')
+    .optional()
+    .isIn(['public', 'private'])
+    .withMessage('Visibility must be public or private'),
+  
+  handleValidationErrors
+];
+
+const validateReadingListStory = [
+  body('storyId')
+    .isMongoId()
+    .withMessage('Invalid story ID'),
+  
+  handleValidationErrors
+];
+
+const validateReadingListOrder = [
+  body('storyIds')
+    .isArray()
+    .withMessage('Story ids must be an array'),
+  
+  body('storyIds.*')
+    .isMongoId()
+    .withMessage('Invalid story ID'),
+  
+  handleValidationErrors
+];
+
+// Reading progress validation rules
+const validateReadingProgress = [
+  body('paragraph')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Paragraph must be a non-negative integer')
+    .toInt(),
+  
+  body('chapterProgress')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Chapter progress must be between 0 and 100')
+    .toFloat(),
+  
+  body('readAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Read at must be a valid date'),
+  
+  handleValidationErrors
+];
+
+// Reading history validation rules
+const validateHistoryFilter = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+  
+  handleValidationErrors
+];
+
+const validateHistorySettings = [
+  body('paused')
+    .isBoolean()
+    .withMessage('Paused must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Block validation rules
+const validateBlock = [
+  body('type')
+    .optional()
+    .isIn(['block', 'mute'])
+    .withMessage('Type must be block or mute'),
+  
+  handleValidationErrors
+];
+
+const validateBlockFilter = [
+  query('type')
+    .optional()
+    .isIn(['block', 'mute'])
+    .withMessage('Type must be block or mute'),
+  
+  handleValidationErrors
+];
+
+// Author verification validation rules
+const validateVerificationApplication = [
+  body('statement')
+    .trim()
+    .isLength({ min: 20, max: 1000 })
+    .withMessage('Statement must be between 20 and 1000 characters'),
+  
+  body('links')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Links must be an array of at most 5 URLs'),
+  
+  body('links.*')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Each link must be a valid http(s) URL'),
+  
+  handleValidationErrors
+];
+
+const validateVerificationRejection = [
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason must be between 1 and 500 characters'),
+  
+  handleValidationErrors
+];
+
+const validateVerificationQueue = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected'])
+    .withMessage('Status must be pending, approved or rejected'),
+  
+  handleValidationErrors
+];
+
+// Account deletion validation rules
+const validateAccountDeletion = [
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Password must be a string'),
+  
+  body('storyAction')
+    .optional()
+    .isIn(['delete', 'transfer'])
+    .withMessage('Story action must be delete or transfer'),
+  
+  body('transferTo')
+    .if(body('storyAction').equals('transfer'))
+    .isMongoId()
+    .withMessage('A valid user ID to transfer stories to is required'),
+  
+  handleValidationErrors
+];
+
 // Story validation rules
 const validateStoryCreation = [
   body('title')
@@ -272,6 +669,61 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+// Pagination for lists that also take a cursor in place of `page`
+const validateCursorPagination = [
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Invalid cursor'),
+  
+  query('includeTotal')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTotal must be true or false'),
+  
+  ...validatePagination
+];
+
+// Feed validation rules
+const validateFeed = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  
+  ...validateCursorPagination
+];
+
+// Notification list validation rules
+const validateNotificationList = [
+  query('unreadOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('unreadOnly must be true or false'),
+  
+  ...validateCursorPagination
+];
+
+// Rules for a search filter that takes several values, and for its
+// exclude variant (genre and excludeGenre)
+const listFilterRules = (field, values) => {
+  const excludeField = `exclude${field[0].toUpperCase()}${field.slice(1)}`;
+  const isValidList = (value) => parseListParam(value).every(item => values.includes(item));
+  
+  return [
+    query(field)
+      .optional()
+      .custom(isValidList)
+      .withMessage(`Invalid ${field} filter`),
+    
+    query(excludeField)
+      .optional()
+      .custom(isValidList)
+      .withMessage(`Invalid ${excludeField} filter`)
+  ];
+};
+
 const validateSearch = [
   query('q')
     .optional()
@@ -279,23 +731,77 @@ const validateSearch = [
     .isLength({ min: 1, max: 100 })
     .withMessage('Search query must be between 1 and 100 characters'),
   
-  query('genre')
+  ...listFilterRules('genre', [
+    'Romance', 'Fantasy', 'Mystery', 'Thriller', 'Horror', 'Adventure',
+    'Sci-Fi', 'Drama', 'Comedy', 'Action', 'Historical', 'Young Adult',
+    'Poetry', 'Non-Fiction', 'Biography', 'Other'
+  ]),
+  
+  ...listFilterRules('language', ['en', 'es', 'fr', 'de', 'it', 'pt', 'ar', 'other']),
+  
+  ...listFilterRules('status', ['ongoing', 'completed', 'on-hold', 'discontinued']),
+  
+  ...listFilterRules('ageRating', ['everyone', 'teen', 'mature']),
+  
+  ...listFilterRules('warnings', ['violence', 'mature-content', 'strong-language', 'sensitive-topics']),
+  
+  query('minWords')
     .optional()
-    .isIn([
+    .isInt({ min: 0 })
+    .withMessage('minWords must be a non-negative integer'),
+  
+  query('maxWords')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('maxWords must be a non-negative integer'),
+  
+  query('updatedAfter')
+    .optional()
+    .isISO8601()
+    .withMessage('updatedAfter must be a valid date'),
+  
+  query('updatedBefore')
+    .optional()
+    .isISO8601()
+    .withMessage('updatedBefore must be a valid date'),
+  
+  query('sortBy')
+    .optional()
+    .isIn(['relevance', 'newest', 'oldest', 'popular', 'trending', 'rating', 'updated'])
+    .withMessage('Invalid sort option'),
+  
+  query('facets')
+    .optional()
+    .isBoolean()
+    .withMessage('facets must be true or false'),
+  
+  handleValidationErrors
+];
+
+const validateUserSearch = [
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Search query must be between 1 and 50 characters'),
+  
+  query('genres')
+    .optional()
+    .custom(value => String(value).split(',').every(genre => [
       'Romance', 'Fantasy', 'Mystery', 'Thriller', 'Horror', 'Adventure',
       'Sci-Fi', 'Drama', 'Comedy', 'Action', 'Historical', 'Young Adult',
       'Poetry', 'Non-Fiction', 'Biography', 'Other'
-    ])
+    ].includes(genre.trim())))
     .withMessage('Invalid genre filter'),
   
-  query('language')
+  query('writers')
     .optional()
-    .isIn(['en', 'es', 'fr', 'de', 'it', 'pt', 'ar', 'other'])
-    .withMessage('Invalid language filter'),
+    .isBoolean()
+    .withMessage('Writers filter must be true or false'),
   
   query('sortBy')
     .optional()
-    .isIn(['newest', 'oldest', 'popular', 'trending', 'rating'])
+    .isIn(['followersCount', 'totalReads', 'storiesCount'])
     .withMessage('Invalid sort option'),
   
   handleValidationErrors
@@ -306,13 +812,46 @@ module.exports = {
   validateUserRegistration,
   validateUserLogin,
   validateUserUpdate,
+  validateUsernameParam,
+  validateRefreshToken,
+  validateEmailVerification,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateReactivationRequest,
+  validateReactivation,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorPolicy,
+  validateOAuthCallback,
+  validateApiTokenCreation,
+  validateRoleCreation,
+  validateRoleUpdate,
+  validateRoleAssignment,
+  validateSuspension,
+  validateFeed,
+  validateVerificationApplication,
+  validateVerificationRejection,
+  validateVerificationQueue,
+  validateAccountDeletion,
   validateStoryCreation,
   validateStoryUpdate,
   validateChapterCreation,
   validateChapterUpdate,
   validateCommentCreation,
   validateRating,
+  validateReadingList,
+  validateReadingListUpdate,
+  validateReadingListStory,
+  validateReadingListOrder,
+  validateReadingProgress,
+  validateHistoryFilter,
+  validateHistorySettings,
+  validateBlock,
+  validateBlockFilter,
   validateMongoId,
   validatePagination,
-  validateSearch
+  validateCursorPagination,
+  validateNotificationList,
+  validateSearch,
+  validateUserSearch
 };
\ No newline at end of file
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { NEWEST_FIRST, cursorFilter } = require('../utils/pagination');
+
+// Most actors per feed query; see getFeed
+const FEED_ACTOR_BATCH_SIZE = 200;
+
+// Something a user did that shows up in their followers' feeds. Activities
+// are written once by the actor and merged per reader when the feed is read
+// (fan-out on read), so following thousands of authors costs no extra writes.
+const activitySchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  type: {
+    type: String,
+    enum: ['story_published', 'chapter_published', 'story_completed', 'reading_list_add', 'review'],
+    required: [true, 'Activity type is required']
+  },
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: [true, 'Story is required']
+  },
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    default: null
+  },
+  readingList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReadingList',
+    default: null
+  },
+  rating: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rating',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Static method to record an activity. Failures are logged rather than
+// failing the action that caused them.
+activitySchema.statics.record = function(data) {
+  return this.create(data).catch(error => {
+    console.error('Activity error:', error);
+    return null;
+  });
+};
+
+// Static method to get a page of activity by the given users, newest first.
+// `after` is a decoded cursor for the last activity already seen.
+//
+// MongoDB only merges the per-actor index ranges of an $in in time order for
+// up to about 200 values; past that it sorts every matching activity in
+// memory. Actors are therefore queried in batches small enough to merge, and
+// the newest `limit` activities of all batches are kept.
+activitySchema.statics.getFeed = async function(actorIds, limit = 20, after = null) {
+  const batches = [];
+  for (let i = 0; i < actorIds.length; i += FEED_ACTOR_BATCH_SIZE) {
+    batches.push(actorIds.slice(i, i + FEED_ACTOR_BATCH_SIZE));
+  }
+  
+  const results = await Promise.all(batches.map(ids => {
+    const query = { actor: { $in: ids } };
+    if (after) Object.assign(query, cursorFilter(NEWEST_FIRST, after));
+    
+    return this.find(query).sort(NEWEST_FIRST).limit(limit);
+  }));
+  
+  const activities = results
+    .flat()
+    .sort((a, b) => (b.createdAt - a.createdAt) || b._id.toString().localeCompare(a._id.toString()))
+    .slice(0, limit);
+  
+  return this.populate(activities, [
+    { path: 'actor', select: 'username fullName profilePicture isVerifiedAuthor isActive' },
+    { path: 'story', select: 'title description coverImage genre status visibility isAuthorInactive author' },
+    { path: 'chapter', select: 'title chapterNumber status' },
+    { path: 'readingList', select: 'name visibility' },
+    { path: 'rating', select: 'value review isAnonymous' }
+  ]);
+};
+
+// Each batch of a feed reads its actors' index ranges in time order
+activitySchema.index({ actor: 1, createdAt: -1, _id: -1 });
+activitySchema.index({ story: 1 });
+activitySchema.index({ readingList: 1, story: 1 });
+activitySchema.index({ rating: 1 });
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const { API_TOKEN_SCOPES } = require('../config/apiScopes');
+const { createRandomToken, hashToken } = require('../utils/tokens');
+
+// Prefix that tells personal API tokens apart from JWT access tokens
+const TOKEN_PREFIX = 'cpat_';
+
+// A personal API token lets a user's own tools call the API with a limited
+// set of scopes. Only its hash is stored; the token is shown once.
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false
+  },
+  prefix: {
+    type: String,
+    required: true // First characters of the token, to help users recognise it
+  },
+  scopes: [{
+    type: String,
+    enum: Object.keys(API_TOKEN_SCOPES)
+  }],
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null // Never expires
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Check if token can still be used
+apiTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Check if token grants a scope
+apiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Record token usage, at most once a minute to avoid a write per request
+apiTokenSchema.methods.touch = function(ipAddress) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return Promise.resolve();
+  }
+  
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ipAddress || null;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt, lastUsedIp: this.lastUsedIp }
+  );
+};
+
+// Static method to check whether a bearer token is a personal API token
+apiTokenSchema.statics.isApiToken = function(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Static method to generate a new raw token with its hash and display prefix
+apiTokenSchema.statics.generate = function() {
+  const token = `${TOKEN_PREFIX}${createRandomToken(20)}`;
+  
+  return {
+    token,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 4)
+  };
+};
+
+// Query conditions matching tokens that are neither revoked nor expired
+const activeConditions = (conditions) => ({
+  ...conditions,
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+// Static method to find the active token matching a raw token
+apiTokenSchema.statics.findActiveByToken = function(token) {
+  return this.findOne(activeConditions({ tokenHash: hashToken(token) }));
+};
+
+// Static method to get a user's active tokens, newest first
+apiTokenSchema.statics.getActiveTokens = function(userId) {
+  return this.find(activeConditions({ user: userId })).sort({ createdAt: -1 });
+};
+
+// Static method to count a user's active tokens
+apiTokenSchema.statics.countActiveTokens = function(userId) {
+  return this.countDocuments(activeConditions({ user: userId }));
+};
+
+// Static method to revoke all of a user's tokens
+apiTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Indexes for better query performance
+apiTokenSchema.index({ user: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('ApiToken', apiTokenSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { OLDEST_FIRST, cursorFilter } = require('../utils/pagination');
+
+// A writer's application to become a verified author. Applications are
+// reviewed by users with the author.verify permission.
+const authorVerificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  statement: {
+    type: String,
+    required: [true, 'Statement is required'],
+    trim: true,
+    maxlength: [1000, 'Statement cannot exceed 1000 characters']
+  },
+  links: [{
+    type: String,
+    trim: true // Published work, author website or social profiles
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: null,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Record a review, only if the application is still pending so that two
+// reviewers acting at once cannot both decide it. Returns the reviewed
+// application, or null if it had already been reviewed.
+authorVerificationSchema.methods.review = function(reviewerId, status, fields = {}) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'pending' },
+    { ...fields, status, reviewedBy: reviewerId, reviewedAt: new Date() },
+    { new: true, runValidators: true }
+  );
+};
+
+// Approve the application and mark the user as a verified author
+authorVerificationSchema.methods.approve = async function(reviewerId) {
+  const application = await this.review(reviewerId, 'approved');
+  
+  if (application) {
+    await mongoose.model('User').findByIdAndUpdate(application.user, {
+      isVerifiedAuthor: true,
+      authorVerifiedAt: application.reviewedAt
+    });
+  }
+  
+  return application;
+};
+
+// Reject the application with a reason shown to the applicant
+authorVerificationSchema.methods.reject = function(reviewerId, reason) {
+  return this.review(reviewerId, 'rejected', { rejectionReason: reason });
+};
+
+// Static method to get applications for review, oldest first
+authorVerificationSchema.statics.getQueue = function(status = 'pending', limit = 20, skip = 0, after = null) {
+  const query = { status };
+  if (after) Object.assign(query, cursorFilter(OLDEST_FIRST, after));
+  
+  return this.find(query)
+    .populate('user', 'username fullName profilePicture role storiesCount followersCount isVerifiedAuthor')
+    .populate('reviewedBy', 'username fullName')
+    .sort(OLDEST_FIRST)
+    .skip(skip)
+    .limit(limit);
+};
+
+// A user can only have one application waiting for review
+authorVerificationSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Indexes for better query performance
+authorVerificationSchema.index({ user: 1, createdAt: -1 });
+authorVerificationSchema.index({ status: 1, createdAt: 1, _id: 1 });
+
+module.exports = mongoose.model('AuthorVerification', authorVerificationSchema);
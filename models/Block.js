@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { NEWEST_FIRST, cursorFilter } = require('../utils/pagination');
+
+// A user blocking or muting another. Blocking cuts all contact both ways;
+// muting only hides the other user's content and notifications from the muter
+// without them knowing.
+const blockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Blocker is required']
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Blocked user is required']
+  },
+  type: {
+    type: String,
+    enum: ['block', 'mute'],
+    default: 'block'
+  }
+}, {
+  timestamps: true
+});
+
+// One relationship per pair; blocking someone you muted replaces the mute
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+
+// Validate that user cannot block themselves
+blockSchema.pre('save', function(next) {
+  if (this.blocker.toString() === this.blocked.toString()) {
+    return next(new Error('User cannot block themselves'));
+  }
+  next();
+});
+
+// Static method to block or mute a user. Blocking removes follows and
+// follow requests in both directions.
+blockSchema.statics.setBlock = async function(blockerId, blockedId, type = 'block') {
+  const block = await this.findOneAndUpdate(
+    { blocker: blockerId, blocked: blockedId },
+    { type },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  
+  if (type === 'block') {
+    const Follow = mongoose.model('Follow');
+    const follows = await Follow.find({
+      $or: [
+        { follower: blockerId, following: blockedId },
+        { follower: blockedId, following: blockerId }
+      ]
+    });
+    
+    // Deleted one by one so the follower counts are updated
+    for (const follow of follows) {
+      await follow.deleteOne();
+    }
+  }
+  
+  return block;
+};
+
+// Static method to get the users whose content should be hidden from a
+// viewer: everyone they blocked or muted, and everyone who blocked them
+blockSchema.statics.getHiddenUserIds = async function(viewerId) {
+  const blocks = await this.find({
+    $or: [
+      { blocker: viewerId },
+      { blocked: viewerId, type: 'block' }
+    ]
+  }).select('blocker blocked').lean();
+  
+  return blocks.map(block => (block.blocker.equals(viewerId) ? block.blocked : block.blocker));
+};
+
+// Static method to check whether a user's content is hidden from a viewer
+blockSchema.statics.isHiddenFrom = function(userId, viewerId) {
+  return this.exists({
+    $or: [
+      { blocker: viewerId, blocked: userId },
+      { blocker: userId, blocked: viewerId, type: 'block' }
+    ]
+  });
+};
+
+// Static method to check if either user has blocked the other
+blockSchema.statics.isBlockedBetween = function(userId, otherUserId) {
+  return this.exists({
+    type: 'block',
+    $or: [
+      { blocker: userId, blocked: otherUserId },
+      { blocker: otherUserId, blocked: userId }
+    ]
+  });
+};
+
+// Static method to get the users someone has blocked or muted, newest first
+blockSchema.statics.getUserBlocks = function(userId, type = null, limit = 20, skip = 0, after = null) {
+  const query = { blocker: userId };
+  if (type) query.type = type;
+  if (after) Object.assign(query, cursorFilter(NEWEST_FIRST, after));
+  
+  return this.find(query)
+    .populate('blocked', 'username fullName profilePicture')
+    .sort(NEWEST_FIRST)
+    .skip(skip)
+    .limit(limit);
+};
+
+// Indexes for better query performance
+blockSchema.index({ blocked: 1, type: 1 });
+blockSchema.index({ blocker: 1, createdAt: -1, _id: -1 });
+blockSchema.index({ blocker: 1, type: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Block', blockSchema);
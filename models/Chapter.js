@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { checkBadges } = require('../utils/badges');
 
 const chapterSchema = new mongoose.Schema({
   title: {
@@ -117,14 +118,18 @@ chapterSchema.pre('save', function(next) {
   // Set publishedAt when status changes to published
   if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
     this.publishedAt = new Date();
+    this.$locals.firstPublished = true;
   }
   
+  // Modified paths are cleared by the time post-save hooks run
+  this.$locals.statsChanged = this.isModified('content') || this.isModified('status');
+  
   next();
 });
 
 // Post-save middleware to update story metadata
 chapterSchema.post('save', async function() {
-  if (this.isModified('content') || this.isModified('status')) {
+  if (this.$locals.statsChanged) {
     const Story = mongoose.model('Story');
     const story = await Story.findById(this.story);
     
@@ -153,6 +158,19 @@ chapterSchema.post('save', async function() {
       
       // Update story's reading time
       await story.updateReadingTime();
+      
+      if (this.status === 'published') {
+        checkBadges(story.author, ['chaptersPublished', 'wordsWritten']);
+      }
+      
+      if (this.$locals.firstPublished) {
+        await mongoose.model('Activity').record({
+          actor: story.author,
+          type: 'chapter_published',
+          story: story._id,
+          chapter: this._id
+        });
+      }
     }
   }
 });
@@ -181,10 +199,12 @@ chapterSchema.methods.getPreviousChapter = function() {
   });
 };
 
-// Static method to get chapter with navigation
+// Static method to get chapter with navigation. With a userId the reader's
+// progress in the story is included, and where to resume when it was last
+// read in this chapter.
 chapterSchema.statics.getChapterWithNavigation = async function(chapterId, userId = null) {
   const chapter = await this.findById(chapterId)
-    .populate('story', 'title author status visibility isPremium')
+    .populate('story', 'title author status visibility isPremium isAuthorInactive')
     .populate({
       path: 'story',
       populate: {
@@ -195,9 +215,12 @@ chapterSchema.statics.getChapterWithNavigation = async function(chapterId, userI
   
   if (!chapter) return null;
   
-  const [nextChapter, prevChapter] = await Promise.all([
+  const [nextChapter, prevChapter, progress] = await Promise.all([
     chapter.getNextChapter(),
-    chapter.getPreviousChapter()
+    chapter.getPreviousChapter(),
+    userId
+      ? mongoose.model('ReadingProgress').findOne({ user: userId, story: chapter.story._id })
+      : null
   ]);
   
   return {
@@ -205,7 +228,17 @@ chapterSchema.statics.getChapterWithNavigation = async function(chapterId, userI
     navigation: {
       next: nextChapter ? { _id: nextChapter._id, title: nextChapter.title, chapterNumber: nextChapter.chapterNumber } : null,
       previous: prevChapter ? { _id: prevChapter._id, title: prevChapter.title, chapterNumber: prevChapter.chapterNumber } : null
-    }
+    },
+    progress: progress ? {
+      percentComplete: progress.percentComplete,
+      chapter: progress.chapter,
+      chapterNumber: progress.chapterNumber,
+      lastReadAt: progress.lastReadAt,
+      completedAt: progress.completedAt,
+      resumeAt: progress.chapter.equals(chapter._id)
+        ? { paragraph: progress.paragraph, chapterProgress: progress.chapterProgress }
+        : null
+    } : null
   };
 };
 
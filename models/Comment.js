@@ -11,7 +11,14 @@ const commentSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User is required']
+    required: [
+      function() { return !this.isAnonymized; },
+      'User is required'
+    ]
+  },
+  isAnonymized: {
+    type: Boolean,
+    default: false // Author deleted their account; the comment is kept without them
   },
   story: {
     type: mongoose.Schema.Types.ObjectId,
@@ -48,6 +55,10 @@ const commentSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  isAuthorInactive: {
+    type: Boolean,
+    default: false // Hidden while the author is deactivated or suspended
+  },
   deletedAt: {
     type: Date,
     default: null
@@ -180,14 +191,23 @@ commentSchema.methods.decrementLikes = function() {
   return this.save();
 };
 
-// Static method to get comments with replies
-commentSchema.statics.getCommentsWithReplies = function(storyId, chapterId = null, limit = 20, skip = 0) {
+// Static method to get comments with replies. Comments by hiddenUserIds
+// (users the viewer blocked or muted, or who blocked them) are left out.
+commentSchema.statics.getCommentsWithReplies = function(storyId, chapterId = null, limit = 20, skip = 0, hiddenUserIds = []) {
   const query = {
     story: storyId,
     parentComment: null, // Only get top-level comments
-    isDeleted: false
+    isDeleted: false,
+    isAuthorInactive: { $ne: true }
   };
   
+  const replyMatch = { isDeleted: false, isAuthorInactive: { $ne: true } };
+  
+  if (hiddenUserIds.length > 0) {
+    query.user = { $nin: hiddenUserIds };
+    replyMatch.user = { $nin: hiddenUserIds };
+  }
+  
   if (chapterId) {
     query.chapter = chapterId;
   } else {
@@ -202,7 +222,7 @@ commentSchema.statics.getCommentsWithReplies = function(storyId, chapterId = nul
         path: 'user',
         select: 'username fullName profilePicture'
       },
-      match: { isDeleted: false },
+      match: replyMatch,
       options: { sort: { createdAt: 1 }, limit: 5 } // Limit nested replies
     })
     .sort({ createdAt: -1 })
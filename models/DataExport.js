@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A request by a user for a copy of their personal data. The archive is built
+// in the background and can be downloaded until it expires.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed'],
+    default: 'pending'
+  },
+  fileName: {
+    type: String,
+    default: null,
+    select: false // Server-side path detail
+  },
+  size: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Check if the archive can be downloaded
+dataExportSchema.methods.isDownloadable = function() {
+  return this.status === 'ready' && this.expiresAt > new Date();
+};
+
+// Exports still processing after this long were interrupted by a restart
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+
+// Static method to claim the next pending (or interrupted) export for
+// processing, so that an export is never built twice
+dataExportSchema.statics.claimNext = function(exportId = null) {
+  const query = {
+    $or: [
+      { status: 'pending' },
+      { status: 'processing', startedAt: { $lte: new Date(Date.now() - STALE_PROCESSING_MS) } }
+    ]
+  };
+  if (exportId) query._id = exportId;
+  
+  return this.findOneAndUpdate(
+    query,
+    { status: 'processing', startedAt: new Date() },
+    { new: true, sort: { createdAt: 1 } }
+  );
+};
+
+// Static method to get a user's exports, newest first
+dataExportSchema.statics.getUserExports = function(userId, limit = 10) {
+  return this.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+// Indexes for better query performance
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, createdAt: 1 });
+dataExportSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { checkBadges } = require('../utils/badges');
+const { NEWEST_FIRST, cursorFilter } = require('../utils/pagination');
 
 const followSchema = new mongoose.Schema({
   follower: {
@@ -13,7 +15,11 @@ const followSchema = new mongoose.Schema({
   },
   isActive: {
     type: Boolean,
-    default: true
+    default: true // False while a follow request to a private account is pending
+  },
+  approvedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -27,12 +33,15 @@ followSchema.pre('save', function(next) {
   if (this.follower.toString() === this.following.toString()) {
     return next(new Error('User cannot follow themselves'));
   }
+  
+  // Counts change when an active follow is created or a request is approved
+  this.$locals.becameActive = this.isActive && (this.isNew || this.isModified('isActive'));
   next();
 });
 
 // Post-save middleware to update follower/following counts
 followSchema.post('save', async function() {
-  if (this.isActive) {
+  if (this.$locals.becameActive) {
     const User = mongoose.model('User');
     
     // Update follower's following count
@@ -46,11 +55,16 @@ followSchema.post('save', async function() {
       $inc: { followersCount: 1 },
       $addToSet: { followers: this.follower }
     });
+    
+    checkBadges(this.following, ['followers']);
   }
 });
 
-// Post-remove middleware to update follower/following counts
-followSchema.post('remove', async function() {
+// Post-delete middleware to update follower/following counts. Pending
+// requests were never counted.
+followSchema.post('deleteOne', { document: true, query: false }, async function() {
+  if (!this.isActive) return;
+  
   const User = mongoose.model('User');
   
   // Update follower's following count
@@ -66,9 +80,10 @@ followSchema.post('remove', async function() {
   });
 });
 
-// Static method to toggle follow
-followSchema.statics.toggleFollow = async function(followerId, followingId) {
-  if (followerId === followingId) {
+// Static method to toggle follow. Following a private account sends a
+// request instead; toggling again cancels it.
+followSchema.statics.toggleFollow = async function(followerId, followingId, requiresApproval = false) {
+  if (followerId.toString() === followingId.toString()) {
     throw new Error('User cannot follow themselves');
   }
   
@@ -78,18 +93,57 @@ followSchema.statics.toggleFollow = async function(followerId, followingId) {
   });
   
   if (existingFollow) {
-    // Unfollow
-    await existingFollow.remove();
-    return { following: false, message: 'Unfollowed successfully' };
-  } else {
-    // Follow
-    const newFollow = new this({
-      follower: followerId,
-      following: followingId
-    });
-    await newFollow.save();
-    return { following: true, message: 'Followed successfully' };
+    // Unfollow, or withdraw a pending request
+    await existingFollow.deleteOne();
+    return {
+      following: false,
+      requested: false,
+      message: existingFollow.isActive ? 'Unfollowed successfully' : 'Follow request cancelled'
+    };
   }
+  
+  const newFollow = new this({
+    follower: followerId,
+    following: followingId,
+    isActive: !requiresApproval,
+    approvedAt: requiresApproval ? null : new Date()
+  });
+  await newFollow.save();
+  
+  return requiresApproval
+    ? { following: false, requested: true, follow: newFollow, message: 'Follow request sent' }
+    : { following: true, requested: false, follow: newFollow, message: 'Followed successfully' };
+};
+
+// Approve a pending follow request
+followSchema.methods.approve = function() {
+  this.isActive = true;
+  this.approvedAt = new Date();
+  return this.save();
+};
+
+// Static method to get pending follow requests sent to a user, newest first
+followSchema.statics.getPendingRequests = function(userId, limit = 20, skip = 0, after = null) {
+  const query = { following: userId, isActive: false };
+  if (after) Object.assign(query, cursorFilter(NEWEST_FIRST, after));
+  
+  return this.find(query)
+    .populate('follower', 'username fullName profilePicture followersCount')
+    .sort(NEWEST_FIRST)
+    .skip(skip)
+    .limit(limit);
+};
+
+// Static method to approve every pending request, e.g. when an account
+// stops being private
+followSchema.statics.approveAllPending = async function(userId) {
+  const requests = await this.find({ following: userId, isActive: false });
+  
+  for (const request of requests) {
+    await request.approve();
+  }
+  
+  return requests;
 };
 
 // Static method to check if user is following another user
@@ -101,32 +155,40 @@ followSchema.statics.isFollowing = function(followerId, followingId) {
   });
 };
 
-// Static method to get user's followers
-followSchema.statics.getFollowers = function(userId, limit = 20, skip = 0) {
-  return this.find({ following: userId, isActive: true })
+// Static method to get user's followers, newest first. `after` is a
+// decoded cursor to continue from instead of skipping.
+followSchema.statics.getFollowers = function(userId, limit = 20, skip = 0, after = null) {
+  const query = { following: userId, isActive: true };
+  if (after) Object.assign(query, cursorFilter(NEWEST_FIRST, after));
+  
+  return this.find(query)
     .populate('follower', 'username fullName profilePicture followersCount')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(skip);
+    .sort(NEWEST_FIRST)
+    .skip(skip)
+    .limit(limit);
 };
 
-// Static method to get users that a user is following
-followSchema.statics.getFollowing = function(userId, limit = 20, skip = 0) {
-  return this.find({ follower: userId, isActive: true })
+// Static method to get users that a user is following, newest first
+followSchema.statics.getFollowing = function(userId, limit = 20, skip = 0, after = null) {
+  const query = { follower: userId, isActive: true };
+  if (after) Object.assign(query, cursorFilter(NEWEST_FIRST, after));
+  
+  return this.find(query)
     .populate('following', 'username fullName profilePicture followersCount')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(skip);
+    .sort(NEWEST_FIRST)
+    .skip(skip)
+    .limit(limit);
 };
 
 // Static method to get mutual follows (friends)
 followSchema.statics.getMutualFollows = async function(userId) {
-  const following = await this.find({ follower: userId }).select('following');
+  const following = await this.find({ follower: userId, isActive: true }).select('following');
   const followingIds = following.map(f => f.following);
   
   return this.find({
     follower: { $in: followingIds },
-    following: userId
+    following: userId,
+    isActive: true
   })
   .populate('follower', 'username fullName profilePicture followersCount')
   .sort({ createdAt: -1 });
@@ -137,7 +199,7 @@ followSchema.statics.getSuggestedUsers = async function(userId, limit = 10) {
   const User = mongoose.model('User');
   
   // Get users that current user's followers are following
-  const userFollowers = await this.find({ following: userId }).select('follower');
+  const userFollowers = await this.find({ following: userId, isActive: true }).select('follower');
   const followerIds = userFollowers.map(f => f.follower);
   
   if (followerIds.length === 0) {
@@ -153,7 +215,8 @@ followSchema.statics.getSuggestedUsers = async function(userId, limit = 10) {
   
   const suggested = await this.find({ 
     follower: { $in: followerIds },
-    following: { $ne: userId }
+    following: { $ne: userId },
+    isActive: true
   })
   .populate('following', 'username fullName profilePicture followersCount')
   .limit(limit * 2); // Get more to filter out already following
@@ -170,8 +233,8 @@ followSchema.statics.getSuggestedUsers = async function(userId, limit = 10) {
 };
 
 // Indexes for better query performance
-followSchema.index({ follower: 1 });
-followSchema.index({ following: 1 });
+followSchema.index({ follower: 1, isActive: 1, createdAt: -1, _id: -1 });
+followSchema.index({ following: 1, isActive: 1, createdAt: -1, _id: -1 });
 followSchema.index({ createdAt: -1 });
 followSchema.index({ isActive: 1 });
 
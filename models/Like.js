@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { NEWEST_FIRST, cursorFilter } = require('../utils/pagination');
 
 const likeSchema = new mongoose.Schema({
   user: {
@@ -108,9 +109,13 @@ likeSchema.statics.isLikedBy = function(userId, targetId, targetType) {
   return this.exists(query);
 };
 
-// Static method to get user's liked stories
-likeSchema.statics.getUserLikedStories = function(userId, limit = 20, skip = 0) {
-  return this.find({ user: userId, type: 'story' })
+// Static method to get user's liked stories, newest first. `after` is a
+// decoded cursor to continue from instead of skipping.
+likeSchema.statics.getUserLikedStories = function(userId, limit = 20, skip = 0, after = null) {
+  const query = { user: userId, type: 'story' };
+  if (after) Object.assign(query, cursorFilter(NEWEST_FIRST, after));
+  
+  return this.find(query)
     .populate({
       path: 'story',
       populate: {
@@ -118,13 +123,13 @@ likeSchema.statics.getUserLikedStories = function(userId, limit = 20, skip = 0)
         select: 'username fullName profilePicture'
       }
     })
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(skip);
+    .sort(NEWEST_FIRST)
+    .skip(skip)
+    .limit(limit);
 };
 
 // Indexes for better query performance
-likeSchema.index({ user: 1, type: 1 });
+likeSchema.index({ user: 1, type: 1, createdAt: -1, _id: -1 });
 likeSchema.index({ story: 1 });
 likeSchema.index({ chapter: 1 });
 likeSchema.index({ comment: 1 });
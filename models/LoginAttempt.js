@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const {
+  getLoginProtectionSettings,
+  getProgressiveDelay,
+  getRemainingSeconds
+} = require('../utils/loginProtection');
+const { NEWEST_FIRST, cursorFilter } = require('../utils/pagination');
+
+// Reasons that mean wrong credentials were given. Refused attempts (throttled,
+// locked, suspended or deactivated) are recorded too but do not count against
+// an IP address, or retrying while blocked would keep extending the block.
+const CREDENTIAL_FAILURES = ['invalid_password', 'invalid_2fa', 'unknown_user'];
+
+const loginAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null when the email is not registered
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  method: {
+    type: String,
+    default: 'password' // or the OAuth provider id
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'success', 'invalid_password', 'invalid_2fa', 'unknown_user',
+      'account_deactivated', 'account_suspended', 'account_locked', 'throttled'
+    ],
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Static method to record a login attempt
+loginAttemptSchema.statics.record = function(data) {
+  return this.create({
+    ...data,
+    success: data.reason === 'success'
+  });
+};
+
+// Static method to get seconds an IP address must wait before trying again,
+// counting only attempts with wrong credentials
+loginAttemptSchema.statics.getIpRetryAfter = async function(ipAddress) {
+  if (!ipAddress) return 0;
+  
+  const { ipFreeAttempts, ipMaxFailures, ipWindowMinutes } = getLoginProtectionSettings();
+  const windowStart = new Date(Date.now() - ipWindowMinutes * 60 * 1000);
+  const query = { ipAddress, reason: { $in: CREDENTIAL_FAILURES }, createdAt: { $gte: windowStart } };
+  
+  const [failures, lastFailure] = await Promise.all([
+    this.countDocuments(query),
+    this.findOne(query).sort({ createdAt: -1 }).select('createdAt')
+  ]);
+  
+  if (failures >= ipMaxFailures) {
+    // Blocked until the oldest failure in the window ages out
+    const oldest = await this.findOne(query).sort({ createdAt: 1 }).select('createdAt');
+    return getRemainingSeconds(oldest.createdAt, ipWindowMinutes * 60);
+  }
+  
+  return getRemainingSeconds(
+    lastFailure && lastFailure.createdAt,
+    getProgressiveDelay(failures, ipFreeAttempts)
+  );
+};
+
+// Static method to get a user's recent sign-in activity, newest first
+loginAttemptSchema.statics.getUserActivity = function(userId, limit = 20, skip = 0, after = null) {
+  const query = { user: userId };
+  if (after) Object.assign(query, cursorFilter(NEWEST_FIRST, after));
+  
+  return this.find(query)
+    .select('-user -email')
+    .sort(NEWEST_FIRST)
+    .skip(skip)
+    .limit(limit);
+};
+
+// Indexes for better query performance
+loginAttemptSchema.index({ user: 1, createdAt: -1, _id: -1 });
+loginAttemptSchema.index({ ipAddress: 1, reason: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // Keep 90 days of history
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
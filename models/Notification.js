@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { NEWEST_FIRST, cursorFilter } = require('../utils/pagination');
 
 const notificationSchema = new mongoose.Schema({
   recipient: {
@@ -14,9 +15,11 @@ const notificationSchema = new mongoose.Schema({
   type: {
     type: String,
     enum: [
-      'follow', 'unfollow', 'like_story', 'like_chapter', 'like_comment',
-      'comment_story', 'comment_chapter', 'reply_comment', 'new_chapter',
-      'story_published', 'story_featured', 'mention', 'system'
+      'follow', 'unfollow', 'follow_request', 'follow_request_approved',
+      'like_story', 'like_chapter', 'like_comment', 'comment_story',
+      'comment_chapter', 'reply_comment', 'new_chapter', 'story_published',
+      'story_featured', 'mention', 'badge_awarded', 'author_verification',
+      'system'
     ],
     required: [true, 'Notification type is required']
   },
@@ -91,6 +94,11 @@ notificationSchema.methods.isExpired = function() {
 
 // Static method to create notification
 notificationSchema.statics.createNotification = async function(data) {
+  // Nothing reaches a user from someone they blocked or muted, or who blocked them
+  if (data.sender && await mongoose.model('Block').isHiddenFrom(data.sender, data.recipient)) {
+    return null;
+  }
+  
   const notification = new this(data);
   return await notification.save();
 };
@@ -111,6 +119,38 @@ notificationSchema.statics.createFollowNotification = async function(followerId,
   });
 };
 
+// Static method to tell a private user that someone asked to follow them
+notificationSchema.statics.createFollowRequestNotification = async function(followerId, followingId) {
+  const User = mongoose.model('User');
+  const follower = await User.findById(followerId).select('username fullName');
+  
+  return this.createNotification({
+    recipient: followingId,
+    sender: followerId,
+    type: 'follow_request',
+    title: 'New Follow Request',
+    message: `${follower.fullName || follower.username} asked to follow you`,
+    data: { user: followerId },
+    actionUrl: '/follow-requests'
+  });
+};
+
+// Static method to tell a user their follow request was approved
+notificationSchema.statics.createFollowApprovedNotification = async function(followerId, followingId) {
+  const User = mongoose.model('User');
+  const following = await User.findById(followingId).select('username fullName');
+  
+  return this.createNotification({
+    recipient: followerId,
+    sender: followingId,
+    type: 'follow_request_approved',
+    title: 'Follow Request Approved',
+    message: `${following.fullName || following.username} approved your follow request`,
+    data: { user: followingId },
+    actionUrl: `/profile/${following.username}`
+  });
+};
+
 // Static method to create like notification
 notificationSchema.statics.createLikeNotification = async function(userId, targetId, targetType, targetOwnerId) {
   if (userId === targetOwnerId) return; // Don't notify if user likes their own content
@@ -202,14 +242,21 @@ notificationSchema.statics.createNewChapterNotification = async function(authorI
   const Story = mongoose.model('Story');
   const Chapter = mongoose.model('Chapter');
   
-  const [author, story, chapter, followers] = await Promise.all([
+  const Block = mongoose.model('Block');
+  
+  const [author, story, chapter, followers, mutedBy] = await Promise.all([
     User.findById(authorId).select('username fullName'),
     Story.findById(storyId).select('title'),
     Chapter.findById(chapterId).select('title chapterNumber'),
-    Follow.find({ following: authorId }).select('follower')
+    Follow.find({ following: authorId, isActive: true }).select('follower'),
+    Block.find({ blocked: authorId }).distinct('blocker')
   ]);
   
-  const notifications = followers.map(follow => ({
+  // Followers who muted the author are skipped silently
+  const muted = new Set(mutedBy.map(id => id.toString()));
+  const recipients = followers.filter(follow => !muted.has(follow.follower.toString()));
+  
+  const notifications = recipients.map(follow => ({
     recipient: follow.follower,
     sender: authorId,
     type: 'new_chapter',
@@ -226,19 +273,51 @@ notificationSchema.statics.createNewChapterNotification = async function(authorI
   return this.insertMany(notifications);
 };
 
-// Static method to get user notifications
-notificationSchema.statics.getUserNotifications = function(userId, limit = 20, skip = 0, unreadOnly = false) {
+// Static method to tell a user they earned a badge
+notificationSchema.statics.createBadgeNotification = function(userId, badge) {
+  return this.createNotification({
+    recipient: userId,
+    type: 'badge_awarded',
+    title: 'Badge Earned',
+    message: `You earned the "${badge.name}" badge: ${badge.description}`,
+    data: { user: userId },
+    actionUrl: '/badges'
+  });
+};
+
+// Static method to tell an applicant the outcome of their author
+// verification application
+notificationSchema.statics.createAuthorVerificationNotification = function(application) {
+  const approved = application.status === 'approved';
+  
+  return this.createNotification({
+    recipient: application.user._id || application.user,
+    type: 'author_verification',
+    title: approved ? 'Author Verification Approved' : 'Author Verification Declined',
+    message: approved
+      ? 'You are now a verified author'
+      : 'Your author verification application was declined. See your application for the reason.',
+    data: { user: application.user._id || application.user },
+    actionUrl: '/author-verification',
+    priority: 'high'
+  });
+};
+
+// Static method to get user notifications, newest first. `after` is a
+// decoded cursor to continue from instead of skipping.
+notificationSchema.statics.getUserNotifications = function(userId, limit = 20, skip = 0, unreadOnly = false, after = null) {
   const query = { recipient: userId };
   if (unreadOnly) query.isRead = false;
+  if (after) Object.assign(query, cursorFilter(NEWEST_FIRST, after));
   
   return this.find(query)
     .populate('sender', 'username fullName profilePicture')
     .populate('data.story', 'title')
     .populate('data.chapter', 'title chapterNumber')
     .populate('data.user', 'username fullName profilePicture')
-    .sort({ createdAt: -1 })
-    .limit(limit)
-    .skip(skip);
+    .sort(NEWEST_FIRST)
+    .skip(skip)
+    .limit(limit);
 };
 
 // Static method to mark all notifications as read
@@ -262,8 +341,8 @@ notificationSchema.statics.cleanupExpired = function() {
 };
 
 // Indexes for better query performance
-notificationSchema.index({ recipient: 1, isRead: 1 });
-notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ recipient: 1, createdAt: -1, _id: -1 });
 notificationSchema.index({ sender: 1 });
 notificationSchema.index({ type: 1 });
 notificationSchema.index({ expiresAt: 1 });
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { hashToken } = require('../utils/tokens');
+
+// A pending OAuth sign-in. Holds the PKCE verifier between redirecting the
+// user to the provider and handling the callback; each state is single-use.
+const oauthStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: [true, 'State hash is required'],
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  codeVerifier: {
+    type: String,
+    required: [true, 'Code verifier is required']
+  },
+  intent: {
+    type: String,
+    enum: ['login', 'link'],
+    default: 'login'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // Set when linking to a signed-in account
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Static method to consume a state, returning it if it was valid
+oauthStateSchema.statics.consume = function(state, provider) {
+  return this.findOneAndDelete({
+    stateHash: hashToken(state),
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Indexes for better query performance
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OAuthState', oauthStateSchema);
@@ -42,6 +42,29 @@ ratingSchema.post(['save', 'remove'], async function() {
   }
 });
 
+// Remember whether a review was written, since modified paths are cleared
+// by the time post-save hooks run
+ratingSchema.pre('save', function(next) {
+  this.$locals.reviewWritten = this.isModified('review') && Boolean(this.review);
+  next();
+});
+
+// Post-save middleware to share new reviews with followers. Edited reviews
+// keep their place in the feed.
+ratingSchema.post('save', async function() {
+  if (!this.$locals.reviewWritten || this.isAnonymous) return;
+  
+  const Activity = mongoose.model('Activity');
+  if (await Activity.exists({ type: 'review', rating: this._id })) return;
+  
+  await Activity.record({
+    actor: this.user,
+    type: 'review',
+    story: this.story,
+    rating: this._id
+  });
+});
+
 // Static method to get story ratings with reviews
 ratingSchema.statics.getStoryRatings = function(storyId, limit = 20, skip = 0) {
   return this.find({ story: storyId, review: { $ne: '' } })
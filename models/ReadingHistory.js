@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Re-opening the same story or chapter within this window updates the
+// existing entry instead of adding another one
+const MERGE_WINDOW_MS = 30 * 60 * 1000;
+
+// A story or chapter a user opened. Entries are recorded by the story and
+// chapter read endpoints and only visible to the reader.
+const readingHistorySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: [true, 'Story is required']
+  },
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    default: null // Null when the story page itself was opened
+  },
+  readAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Static method to record that a user opened a story or chapter, unless
+// they paused their history
+readingHistorySchema.statics.record = async function(user, storyId, chapterId = null) {
+  if (user.readingHistory && user.readingHistory.paused) return null;
+  
+  const now = new Date();
+  
+  return this.findOneAndUpdate(
+    {
+      user: user._id,
+      story: storyId,
+      chapter: chapterId,
+      readAt: { $gt: new Date(now.getTime() - MERGE_WINDOW_MS) }
+    },
+    { readAt: now },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Indexes for better query performance
+readingHistorySchema.index({ user: 1, readAt: -1, _id: -1 });
+readingHistorySchema.index({ user: 1, story: 1, chapter: 1, readAt: -1 });
+readingHistorySchema.index({ story: 1 });
+
+module.exports = mongoose.model('ReadingHistory', readingHistorySchema);
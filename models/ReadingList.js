@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+
+// Lists every user starts with. They can be renamed and emptied but not deleted.
+const DEFAULT_LISTS = ['Currently reading', 'Favourites'];
+
+// Name of the list that stories from the old single reading list move to
+const LEGACY_LIST_NAME = 'Reading list';
+
+const readingListSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'List name is required'],
+    trim: true,
+    maxlength: [60, 'List name cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'private'
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Kept in the order the user arranged them
+  stories: [{
+    story: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Story',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the number of stories on the list
+readingListSchema.virtual('storiesCount').get(function() {
+  return this.stories ? this.stories.length : 0;
+});
+
+// Method to check if a story is on the list
+readingListSchema.methods.hasStory = function(storyId) {
+  return this.stories.some(item => item.story.equals(storyId));
+};
+
+// Method to add a story to the end of the list and count it on the story.
+// The update only applies when the story is not on the list yet, so
+// concurrent adds cannot count it twice.
+readingListSchema.methods.addStory = async function(storyId) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'stories.story': { $ne: storyId } },
+    { $push: { stories: { story: storyId } } },
+    { new: true }
+  );
+  if (!updated) return false;
+  
+  this.stories = updated.stories;
+  await mongoose.model('Story').findByIdAndUpdate(storyId, { $inc: { readingListsCount: 1 } });
+  
+  // Additions to public lists show up in followers' feeds
+  if (this.visibility === 'public') {
+    await mongoose.model('Activity').record({
+      actor: this.user,
+      type: 'reading_list_add',
+      story: storyId,
+      readingList: this._id
+    });
+  }
+  return true;
+};
+
+// Method to remove a story from the list, with the same guard as addStory
+readingListSchema.methods.removeStory = async function(storyId) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'stories.story': storyId },
+    { $pull: { stories: { story: storyId } } },
+    { new: true }
+  );
+  if (!updated) return false;
+  
+  this.stories = updated.stories;
+  await Promise.all([
+    mongoose.model('Story').findByIdAndUpdate(storyId, { $inc: { readingListsCount: -1 } }),
+    mongoose.model('Activity').deleteMany({ readingList: this._id, story: storyId })
+  ]);
+  return true;
+};
+
+// Method to rearrange the list. storyIds must name every story on it exactly once.
+readingListSchema.methods.reorder = function(storyIds) {
+  const items = new Map(this.stories.map(item => [item.story.toString(), item]));
+  const ids = storyIds.map(id => id.toString());
+  
+  if (ids.length !== items.size || new Set(ids).size !== ids.length ||
+      !ids.every(id => items.has(id))) {
+    return null;
+  }
+  
+  this.stories = ids.map(id => items.get(id));
+  return this.save();
+};
+
+// Delete the list and take its stories off their counters
+readingListSchema.post('deleteOne', { document: true, query: false }, async function() {
+  if (this.stories.length === 0) return;
+  
+  await mongoose.model('Activity').deleteMany({ readingList: this._id });
+  await mongoose.model('Story').updateMany(
+    { _id: { $in: this.stories.map(item => item.story) } },
+    { $inc: { readingListsCount: -1 } }
+  );
+});
+
+// Static method to get a user's lists, creating the default ones on first
+// use
+readingListSchema.statics.getUserLists = async function(userId) {
+  const lists = await this.find({ user: userId }).sort({ isDefault: -1, createdAt: 1 });
+  if (lists.some(list => list.isDefault)) return lists;
+  
+  try {
+    await this.insertMany(DEFAULT_LISTS.map(name => ({ user: userId, name, isDefault: true })));
+  } catch (error) {
+    // A concurrent request created them first
+    if (error.code !== 11000) throw error;
+  }
+  
+  return this.find({ user: userId }).sort({ isDefault: -1, createdAt: 1 });
+};
+
+// Static method to move stories from the old single reading list on user
+// documents into a list of their own. Handles up to `limit` users per call.
+// Safe to run again after a failure: stories already moved are skipped.
+readingListSchema.statics.migrateLegacyLists = async function(limit = 500) {
+  const User = mongoose.model('User');
+  const users = await User.find({ readingList: { $exists: true } })
+    .select('readingList')
+    .limit(limit)
+    .lean();
+  
+  for (const user of users) {
+    let added = (user.readingList || []).filter(item => item.story);
+    
+    if (added.length > 0) {
+      try {
+        await this.create({ user: user._id, name: LEGACY_LIST_NAME, stories: added });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        
+        // The user already has a list by that name; add what is not on it yet
+        const list = await this.findOne({ user: user._id, name: LEGACY_LIST_NAME });
+        added = added.filter(item => !list.hasStory(item.story));
+        if (added.length > 0) {
+          list.stories.push(...added);
+          await list.save();
+        }
+      }
+    }
+    
+    // The old list was never counted on the stories
+    if (added.length > 0) {
+      await mongoose.model('Story').updateMany(
+        { _id: { $in: added.map(item => item.story) } },
+        { $inc: { readingListsCount: 1 } }
+      );
+    }
+    
+    await User.updateOne({ _id: user._id }, { $unset: { readingList: 1 } }, { strict: false });
+  }
+  
+  return users.length;
+};
+
+// Static method to get the ids of a user's lists that contain a story
+readingListSchema.statics.getListsWithStory = function(userId, storyId) {
+  return this.find({ user: userId, 'stories.story': storyId }).distinct('_id');
+};
+
+// Static method to remove everything a user has on reading lists
+readingListSchema.statics.deleteUserLists = async function(userId) {
+  const lists = await this.find({ user: userId });
+  
+  for (const list of lists) {
+    await list.deleteOne();
+  }
+};
+
+// Indexes for better query performance
+readingListSchema.index({ user: 1, name: 1 }, { unique: true });
+readingListSchema.index({ 'stories.story': 1 });
+readingListSchema.index({ user: 1, visibility: 1 });
+
+module.exports = mongoose.model('ReadingList', readingListSchema);
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const { checkBadges } = require('../utils/badges');
+
+// Where a reader is in a story. There is one record per reader and story,
+// updated by the reader's devices as they read.
+const readingProgressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: [true, 'Story is required']
+  },
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: [true, 'Chapter is required']
+  },
+  chapterNumber: {
+    type: Number,
+    required: true
+  },
+  paragraph: {
+    type: Number,
+    default: 0,
+    min: 0 // Index of the paragraph at the top of the reader's screen
+  },
+  chapterProgress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100 // How far through the chapter the reader has scrolled, in percent
+  },
+  percentComplete: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100 // How far through the published story, in percent
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+readingProgressSchema.index({ user: 1, story: 1 }, { unique: true });
+
+// Static method to record a reader's position in a chapter. Updates older
+// than the stored position (e.g. from a device that was offline) are ignored
+// so the newest position wins.
+readingProgressSchema.statics.syncProgress = async function(userId, chapter, position = {}) {
+  const { paragraph = 0, chapterProgress = 0, readAt = new Date() } = position;
+  
+  const Chapter = mongoose.model('Chapter');
+  const [chaptersBefore, totalChapters] = await Promise.all([
+    Chapter.countDocuments({
+      story: chapter.story,
+      status: 'published',
+      chapterNumber: { $lt: chapter.chapterNumber }
+    }),
+    Chapter.countDocuments({ story: chapter.story, status: 'published' })
+  ]);
+  
+  const percentComplete = totalChapters > 0
+    ? Math.min(100, Math.round(((chaptersBefore + chapterProgress / 100) / totalChapters) * 1000) / 10)
+    : 0;
+  
+  // The comparison and the write happen in one update, so devices syncing at
+  // the same time cannot overwrite a newer position or create two records
+  const filter = {
+    user: userId,
+    story: chapter.story,
+    $or: [{ lastReadAt: { $lte: readAt } }, { lastReadAt: { $exists: false } }]
+  };
+  const now = new Date();
+  const update = [{
+    $set: {
+      chapter: chapter._id,
+      chapterNumber: chapter.chapterNumber,
+      paragraph,
+      chapterProgress,
+      percentComplete,
+      lastReadAt: readAt,
+      // Finishing the last chapter completes the story; going back re-opens it
+      completedAt: percentComplete >= 100 ? { $ifNull: ['$completedAt', readAt] } : null,
+      createdAt: { $ifNull: ['$createdAt', now] },
+      updatedAt: now
+    }
+  }];
+  
+  let progress = null;
+  try {
+    progress = await this.findOneAndUpdate(filter, update, { upsert: true, new: true, timestamps: false });
+  } catch (error) {
+    // The record exists with a newer position, or another device created it
+    // first; in the second case this position may still be the newest
+    if (error.code !== 11000) throw error;
+    progress = await this.findOneAndUpdate(filter, update, { new: true, timestamps: false });
+  }
+  
+  if (!progress) {
+    return { progress: await this.findOne({ user: userId, story: chapter.story }), applied: false };
+  }
+  
+  // Completed by this update
+  if (progress.completedAt && progress.completedAt.getTime() === readAt.getTime()) {
+    checkBadges(userId, ['storiesFinished']);
+  }
+  return { progress, applied: true };
+};
+
+// Static method to get the stories a user is part-way through, most
+// recently read first
+readingProgressSchema.statics.getContinueReading = function(userId, limit = 10) {
+  return this.find({ user: userId, completedAt: null })
+    .populate({
+      path: 'story',
+      select: 'title coverImage author chaptersCount visibility status isAuthorInactive',
+      populate: { path: 'author', select: 'username fullName' }
+    })
+    .populate('chapter', 'title chapterNumber status')
+    .sort({ lastReadAt: -1 })
+    .limit(limit);
+};
+
+// Indexes for better query performance
+readingProgressSchema.index({ user: 1, completedAt: 1, lastReadAt: -1 });
+readingProgressSchema.index({ story: 1 });
+
+module.exports = mongoose.model('ReadingProgress', readingProgressSchema);
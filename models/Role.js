@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ALL_PERMISSIONS, BUILT_IN_ROLES } = require('../config/permissions');
+
+// A custom role defined by admins, on top of the built-in roles
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]{2,29}$/, 'Role name must be 3-30 lowercase letters, numbers, dashes or underscores'],
+    validate: {
+      validator: (name) => !Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name),
+      message: 'Built-in roles cannot be redefined'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to check whether a role exists, built-in or custom
+roleSchema.statics.isDefined = async function(name) {
+  if (Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name)) return true;
+  return Boolean(await this.findOne({ name }).select('_id').lean());
+};
+
+// Static method to get the permissions granted by a role
+roleSchema.statics.getPermissions = async function(name) {
+  if (Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name)) {
+    return BUILT_IN_ROLES[name].permissions;
+  }
+  
+  const role = await this.findOne({ name }).select('permissions').lean();
+  return role ? role.permissions : [];
+};
+
+// Static method to get the names of all roles that grant a permission
+roleSchema.statics.getRolesWithPermission = async function(permission) {
+  const builtIn = Object.entries(BUILT_IN_ROLES)
+    .filter(([, role]) => role.permissions.includes(ALL_PERMISSIONS) || role.permissions.includes(permission))
+    .map(([name]) => name);
+  
+  const custom = await this.find({ permissions: permission }).distinct('name');
+  
+  return [...builtIn, ...custom];
+};
+
+module.exports = mongoose.model('Role', roleSchema);
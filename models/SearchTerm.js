@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { MIN_TERM_LENGTH, MAX_TERM_LENGTH, tokenize } = require('../utils/search');
+
+// A word that appears in a story's title, tags or author name. The
+// vocabulary lets searches expand prefixes and misspelt words into words
+// the text index knows.
+const searchTermSchema = new mongoose.Schema({
+  term: {
+    type: String,
+    required: true
+  },
+  length: {
+    type: Number,
+    required: true // Lets typo matching look only at words of similar length
+  }
+});
+
+// Static method to add the words of the given texts to the vocabulary
+searchTermSchema.statics.addFromText = async function(...texts) {
+  const terms = [...new Set(texts.flatMap(text => tokenize(text)))]
+    .filter(term => term.length >= MIN_TERM_LENGTH && term.length <= MAX_TERM_LENGTH);
+  
+  if (terms.length === 0) return;
+  
+  await this.bulkWrite(terms.map(term => ({
+    updateOne: {
+      filter: { term },
+      update: { $setOnInsert: { term, length: term.length } },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+searchTermSchema.index({ term: 1 }, { unique: true });
+searchTermSchema.index({ length: 1, term: 1 });
+
+module.exports = mongoose.model('SearchTerm', searchTermSchema);
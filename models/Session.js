@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+// A session represents one signed-in device. Its refresh token is rotated on
+// every use; presenting an already-rotated token revokes the whole session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  refreshTokenHash: {
+    type: String,
+    required: [true, 'Refresh token hash is required'],
+    select: false
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Device name cannot exceed 100 characters'],
+    default: null
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot exceed 500 characters'],
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: [
+      'logout', 'token_reuse', 'password_change', 'password_reset',
+      'account_deactivated', 'user_revoked', 'two_factor_enabled',
+      'two_factor_required', 'account_deletion', 'account_suspended', null
+    ],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for a human readable device label, falling back to the user agent
+sessionSchema.virtual('deviceLabel').get(function() {
+  if (this.deviceName) return this.deviceName;
+  if (!this.userAgent) return 'Unknown device';
+  
+  const platforms = [
+    ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'],
+    ['Windows', 'Windows'], ['Macintosh', 'Mac'], ['Linux', 'Linux']
+  ];
+  const browsers = [
+    ['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']
+  ];
+  
+  const platform = platforms.find(([needle]) => this.userAgent.includes(needle));
+  const browser = browsers.find(([needle]) => this.userAgent.includes(needle));
+  
+  if (!platform && !browser) return 'Unknown device';
+  return [browser && browser[1], platform && `on ${platform[1]}`].filter(Boolean).join(' ');
+});
+
+// Check if session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke this session
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { revokedAt: this.revokedAt, revokedReason: reason }
+  );
+};
+
+// Record session usage, at most once a minute to avoid a write per request
+sessionSchema.methods.touch = function() {
+  if (Date.now() - this.lastUsedAt.getTime() < 60 * 1000) {
+    return Promise.resolve();
+  }
+  
+  this.lastUsedAt = new Date();
+  return this.constructor.updateOne({ _id: this._id }, { lastUsedAt: this.lastUsedAt });
+};
+
+// Static method to get a user's active sessions, most recently used first
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+  .sort({ lastUsedAt: -1 });
+};
+
+// Static method to find an active session belonging to a user
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to rotate a refresh token. Only succeeds if the presented
+// token is the current one, so concurrent or replayed tokens cannot both win.
+sessionSchema.statics.rotateRefreshToken = function(sessionId, currentHash, nextHash, updates = {}) {
+  return this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: currentHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: { ...updates, refreshTokenHash: nextHash, lastUsedAt: new Date() },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+  return this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+};
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 }); // Purge a week after expiry
+
+module.exports = mongoose.model('Session', sessionSchema);
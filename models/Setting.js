@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Platform-wide settings that admins can change at runtime
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Setting key is required'],
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get a setting value with a fallback
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+// Static method to create or update a setting
+settingSchema.statics.setValue = function(key, value, updatedBy = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to check whether a role must use two-factor authentication
+settingSchema.statics.isTwoFactorRequired = async function(role) {
+  const requiredRoles = await this.getValue('twoFactor.requiredRoles', []);
+  return requiredRoles.includes(role);
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const SearchTerm = require('./SearchTerm');
+
+// Lower bounds of the word count ranges counted by faceted search; the last
+// range has no upper bound
+const WORD_COUNT_BUCKETS = [0, 1000, 10000, 50000, 100000];
 
 const storySchema = new mongoose.Schema({
   title: {
@@ -22,6 +27,10 @@ const storySchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Author is required']
   },
+  authorName: {
+    type: String,
+    trim: true // The author's username and full name, kept here for text search
+  },
   genre: {
     type: String,
     required: [true, 'Genre is required'],
@@ -86,6 +95,10 @@ const storySchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  readingListsCount: {
+    type: Number,
+    default: 0 // How many reading lists the story is on
+  },
   isCompleted: {
     type: Boolean,
     default: false
@@ -94,6 +107,10 @@ const storySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  isAuthorInactive: {
+    type: Boolean,
+    default: false // Hidden from listings while the author is deactivated or suspended
+  },
   isPremium: {
     type: Boolean,
     default: false
@@ -165,18 +182,55 @@ storySchema.virtual('ratings', {
 
 // Pre-save middleware to update publishedAt when status changes to published
 storySchema.pre('save', function(next) {
+  // Milestones for followers' feeds, recorded once the save succeeds
+  this.$locals.activityTypes = [];
+  
   if (this.isModified('status') && this.status !== 'draft' && !this.publishedAt) {
     this.publishedAt = new Date();
+    this.$locals.activityTypes.push('story_published');
   }
   
   if (this.isModified('status') && this.status === 'completed') {
+    if (!this.isCompleted) this.$locals.activityTypes.push('story_completed');
     this.isCompleted = true;
   }
   
-  this.lastUpdated = new Date();
+  // Views and ratings change all the time and do not count as updates
+  const counterPaths = ['totalViews', 'totalReads', 'averageRating', 'ratingCount'];
+  if (this.isNew || this.modifiedPaths().some(path => !counterPaths.includes(path))) {
+    this.lastUpdated = new Date();
+  }
   next();
 });
 
+// Pre-save middleware to copy the author's name onto the story for search
+storySchema.pre('save', async function() {
+  if (this.isNew || this.isModified('author')) {
+    const author = await mongoose.model('User').findById(this.author).select('username fullName');
+    this.authorName = author ? [author.username, author.fullName].filter(Boolean).join(' ') : '';
+  }
+  
+  // Modified paths are cleared by the time post-save hooks run
+  this.$locals.searchChanged = ['title', 'tags', 'authorName'].some(path => this.isModified(path));
+});
+
+// Post-save middleware to add new words to the search vocabulary
+storySchema.post('save', async function() {
+  if (this.$locals.searchChanged) {
+    await SearchTerm.addFromText(this.title, this.tags.join(' '), this.authorName)
+      .catch(error => console.error('Search vocabulary error:', error));
+  }
+});
+
+// Post-save middleware to share publishing milestones with followers
+storySchema.post('save', async function() {
+  const Activity = mongoose.model('Activity');
+  
+  for (const type of this.$locals.activityTypes || []) {
+    await Activity.record({ actor: this.author, type, story: this._id });
+  }
+});
+
 // Method to increment view count
 storySchema.methods.incrementViews = function() {
   this.totalViews += 1;
@@ -215,35 +269,199 @@ storySchema.methods.calculateAverageRating = async function() {
   return this.save();
 };
 
+// Method to delete the story with its chapters, comments, likes, ratings and cover image
+storySchema.methods.deleteWithContent = async function() {
+  const Chapter = mongoose.model('Chapter');
+  const Comment = mongoose.model('Comment');
+  
+  const [chapterIds, commentIds] = await Promise.all([
+    Chapter.find({ story: this._id }).distinct('_id'),
+    Comment.find({ story: this._id }).distinct('_id')
+  ]);
+  
+  await Promise.all([
+    Chapter.deleteMany({ story: this._id }),
+    Comment.deleteMany({ story: this._id }),
+    mongoose.model('Like').deleteMany({
+      $or: [
+        { story: this._id },
+        { chapter: { $in: chapterIds } },
+        { comment: { $in: commentIds } }
+      ]
+    }),
+    mongoose.model('Rating').deleteMany({ story: this._id }),
+    mongoose.model('ReadingProgress').deleteMany({ story: this._id }),
+    mongoose.model('ReadingHistory').deleteMany({ story: this._id }),
+    mongoose.model('Activity').deleteMany({ story: this._id }),
+    mongoose.model('ReadingList').updateMany(
+      { 'stories.story': this._id },
+      { $pull: { stories: { story: this._id } } }
+    )
+  ]);
+  
+  if (this.coverImage) {
+    const { deleteFile } = require('../middleware/upload');
+    deleteFile(`uploads/covers/${this.coverImage.split('/').pop()}`);
+  }
+  
+  return this.deleteOne();
+};
+
 // Static method to get trending stories
-storySchema.statics.getTrending = function(limit = 10) {
+storySchema.statics.getTrending = function(limit = 10, excludeAuthorIds = []) {
   const oneWeekAgo = new Date();
   oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
   
   return this.find({
+    author: { $nin: excludeAuthorIds },
     status: { $ne: 'draft' },
     visibility: 'public',
+    isAuthorInactive: { $ne: true },
     publishedAt: { $gte: oneWeekAgo }
   })
   .sort({ totalViews: -1, totalLikes: -1 })
   .limit(limit)
-  .populate('author', 'username fullName profilePicture');
+  .populate('author', 'username fullName profilePicture isVerifiedAuthor');
 };
 
 // Static method to get featured stories
-storySchema.statics.getFeatured = function(limit = 5) {
+storySchema.statics.getFeatured = function(limit = 5, excludeAuthorIds = []) {
   return this.find({
+    author: { $nin: excludeAuthorIds },
     isFeatured: true,
     status: { $ne: 'draft' },
-    visibility: 'public'
+    visibility: 'public',
+    isAuthorInactive: { $ne: true }
   })
   .sort({ publishedAt: -1 })
   .limit(limit)
-  .populate('author', 'username fullName profilePicture');
+  .populate('author', 'username fullName profilePicture isVerifiedAuthor');
+};
+
+// Static method to get a page of stories. `match` and `filters` are combined;
+// `after` is a cursor filter (see utils/pagination.js) for the next page.
+// Plain listings are a find that can walk a sort index. Text searches rank
+// by score, which only exists inside an aggregation, over the stories the
+// text index matched.
+storySchema.statics.findPage = function(match, filters = {}, options = {}) {
+  const { sort = { publishedAt: -1 }, after = null, skip = 0, limit = 20, withScore = false, populate } = options;
+  const conditions = [match, filters];
+  if (after) conditions.push(after);
+  
+  if (!withScore) {
+    const query = this.find({ $and: conditions }).sort(sort).skip(skip).limit(limit).lean();
+    return populate ? query.populate(populate) : query;
+  }
+  
+  // $text has to be in the first stage, so the other conditions follow the score
+  return this.aggregate([
+    { $match: match },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    { $match: { $and: conditions.slice(1) } },
+    { $sort: sort },
+    { $skip: skip },
+    { $limit: limit }
+  ]).then(async stories => {
+    if (populate) await this.populate(stories, populate);
+    return stories;
+  });
+};
+
+// Static method to count stories by genre, language, status, ageRating,
+// warnings and word count range in one aggregation. `match` applies to
+// everything; `filters` maps faceted paths (genre, language, status,
+// ageRating, warnings, metadata.wordCount) to conditions. Each facet is
+// counted with every filter except its own, so picking one genre still
+// shows how many stories the other genres would add.
+storySchema.statics.countFacets = async function(match, filters = {}) {
+  const filtersExcept = (path) => {
+    const rest = { ...filters };
+    delete rest[path];
+    return rest;
+  };
+  
+  const countBy = (path) => [
+    { $match: filtersExcept(path) },
+    { $unwind: `$${path}` }, // Also splits arrays such as warnings
+    { $group: { _id: `$${path}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+  
+  const [result] = await this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        genre: countBy('genre'),
+        language: countBy('language'),
+        status: countBy('status'),
+        ageRating: countBy('ageRating'),
+        warnings: countBy('warnings'),
+        wordCount: [
+          { $match: filtersExcept('metadata.wordCount') },
+          {
+            $bucket: {
+              groupBy: '$metadata.wordCount',
+              boundaries: WORD_COUNT_BUCKETS,
+              default: 'longer',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+  
+  const toCounts = (buckets) => buckets.map(bucket => ({ value: bucket._id, count: bucket.count }));
+  const lastBound = WORD_COUNT_BUCKETS[WORD_COUNT_BUCKETS.length - 1];
+  
+  return {
+    genre: toCounts(result.genre),
+    language: toCounts(result.language),
+    status: toCounts(result.status),
+    ageRating: toCounts(result.ageRating),
+    warnings: toCounts(result.warnings),
+    wordCount: result.wordCount.map(bucket => {
+      const min = bucket._id === 'longer' ? lastBound : bucket._id;
+      const next = WORD_COUNT_BUCKETS.find(bound => bound > min);
+      return { min, max: next === undefined ? null : next - 1, count: bucket.count };
+    })
+  };
+};
+
+// Static method to update the author name stored on a user's stories after
+// they change their username or full name
+storySchema.statics.syncAuthorName = async function(userId) {
+  const author = await mongoose.model('User').findById(userId).select('username fullName');
+  if (!author) return;
+  
+  const authorName = [author.username, author.fullName].filter(Boolean).join(' ');
+  await this.updateMany({ author: userId }, { authorName });
+  await SearchTerm.addFromText(authorName);
+};
+
+// Static method to prepare stories saved before search was added: stores
+// the author name and adds their words to the vocabulary. Handles up to
+// `limit` stories per call.
+storySchema.statics.backfillSearch = async function(limit = 500) {
+  const stories = await this.find({ authorName: { $exists: false } })
+    .select('title tags author')
+    .populate('author', 'username fullName')
+    .limit(limit);
+  
+  for (const story of stories) {
+    const authorName = story.author
+      ? [story.author.username, story.author.fullName].filter(Boolean).join(' ')
+      : '';
+    
+    await this.updateOne({ _id: story._id }, { authorName });
+    await SearchTerm.addFromText(story.title, story.tags.join(' '), authorName);
+  }
+  
+  return stories.length;
 };
 
 // Indexes for better query performance
-storySchema.index({ author: 1 });
+storySchema.index({ author: 1, createdAt: -1, _id: -1 });
 storySchema.index({ genre: 1 });
 storySchema.index({ tags: 1 });
 storySchema.index({ status: 1 });
@@ -255,6 +473,20 @@ storySchema.index({ averageRating: -1 });
 storySchema.index({ isFeatured: 1 });
 storySchema.index({ 'metadata.wordCount': -1 });
 
+// Full-text search. Matches in the title count most, then tags, then the
+// author's name, then the description. `language` holds codes the text
+// index does not know (e.g. "ar", "other"), so it must not be used as the
+// language override.
+storySchema.index(
+  { title: 'text', tags: 'text', authorName: 'text', description: 'text' },
+  {
+    name: 'story_text_search',
+    weights: { title: 10, tags: 5, authorName: 3, description: 1 },
+    default_language: 'english',
+    language_override: 'textSearchLanguage'
+  }
+);
+
 // Compound indexes
 storySchema.index({ genre: 1, status: 1, visibility: 1 });
 storySchema.index({ author: 1, status: 1 });
@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Role = require('./Role');
+const UsernameChange = require('./UsernameChange');
+const { verifyCode, hashRecoveryCode } = require('../utils/totp');
+const {
+  getLoginProtectionSettings,
+  getProgressiveDelay,
+  getRemainingSeconds
+} = require('../utils/loginProtection');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -21,7 +29,10 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [
+      function() { return !this.identities || this.identities.length === 0; },
+      'Password is required'
+    ],
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
@@ -31,6 +42,16 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Full name cannot exceed 50 characters']
   },
+  // Lowercase copies of username and fullName so directory search can
+  // match either case-insensitively and still use an index
+  usernameLower: {
+    type: String,
+    select: false
+  },
+  fullNameLower: {
+    type: String,
+    select: false
+  },
   bio: {
     type: String,
     maxlength: [500, 'Bio cannot exceed 500 characters'],
@@ -42,17 +63,138 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['reader', 'writer', 'both', 'admin'],
-    default: 'both'
+    default: 'both',
+    validate: {
+      // Built-in roles or a custom role defined by admins
+      validator: (role) => Role.isDefined(role),
+      message: 'Role {VALUE} does not exist'
+    }
   },
   isVerified: {
     type: Boolean,
-    default: false
+    default: false // Email address confirmed; see isVerifiedAuthor for authors
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  verificationEmailSentAt: {
+    type: Date,
+    default: null
+  },
+  isVerifiedAuthor: {
+    type: Boolean,
+    default: false // Granted through an approved author verification application
+  },
+  authorVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  passwordResetToken: {
+    type: String,
+    select: false // Stored hashed, never returned
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
   },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false // Awaiting confirmation with a first code
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false // Stored hashed
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false // Prevents a code from being replayed
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true // The user's id at the provider
+    },
+    email: {
+      type: String,
+      default: null
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  deactivation: {
+    type: {
+      type: String,
+      enum: ['self', 'suspension', null],
+      default: null // Self-deactivated accounts can be reactivated by their owner
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: null
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    at: {
+      type: Date,
+      default: null
+    },
+    until: {
+      type: Date,
+      default: null // Suspensions without an end date last until lifted
+    }
+  },
+  deletion: {
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    scheduledFor: {
+      type: Date,
+      default: null // Account is erased after this date unless cancelled
+    },
+    storyAction: {
+      type: String,
+      enum: ['delete', 'transfer'],
+      default: 'delete'
+    },
+    transferTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
   followers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -73,16 +215,6 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  readingList: [{
-    story: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Story'
-    },
-    addedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
   preferences: {
     emailNotifications: {
       type: Boolean,
@@ -100,6 +232,55 @@ const userSchema = new mongoose.Schema({
       type: String
     }]
   },
+  privacy: {
+    isPrivate: {
+      type: Boolean,
+      default: false // New followers need approval
+    },
+    showEmail: {
+      type: Boolean,
+      default: false
+    },
+    showPreferences: {
+      type: Boolean,
+      default: false // Reading preferences such as favourite genres
+    }
+  },
+  readingHistory: {
+    paused: {
+      type: Boolean,
+      default: false // Stops new reads from being recorded
+    },
+    pausedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  badges: [{
+    _id: false,
+    badge: {
+      type: String,
+      required: true // Key of the badge in config/badges.js
+    },
+    awardedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: {
+      type: Date,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    }
+  },
   lastActive: {
     type: Date,
     default: Date.now
@@ -136,6 +317,28 @@ userSchema.virtual('comments', {
   foreignField: 'user'
 });
 
+// Keep the lowercase copies of the username and full name in step
+userSchema.pre('save', function(next) {
+  if (this.isModified('username')) this.usernameLower = this.username.toLowerCase();
+  if (this.isModified('fullName')) this.fullNameLower = this.fullName.toLowerCase();
+  next();
+});
+
+userSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  
+  // The names may be set directly or under $set
+  for (const fields of [update, update.$set]) {
+    if (fields && typeof fields.username === 'string') {
+      fields.usernameLower = fields.username.trim().toLowerCase();
+    }
+    if (fields && typeof fields.fullName === 'string') {
+      fields.fullNameLower = fields.fullName.trim().toLowerCase();
+    }
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -143,6 +346,7 @@ userSchema.pre('save', async function(next) {
   try {
     const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
     this.password = await bcrypt.hash(this.password, saltRounds);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -151,28 +355,297 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Accounts created through social login may have no password
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether the user still has a way to sign in without the given identity
+userSchema.methods.hasOtherLoginMethod = function(provider) {
+  return Boolean(this.password) ||
+    this.identities.some(identity => identity.provider !== provider);
+};
+
+// Verify a TOTP code or consume a recovery code. Requires the twoFactor
+// secret fields to be selected. Each code can only be used once.
+userSchema.methods.verifySecondFactor = async function({ code, recoveryCode }) {
+  const User = this.constructor;
+  
+  if (code) {
+    const step = verifyCode(this.twoFactor.secret, code);
+    if (step === null) return false;
+    
+    const result = await User.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': null },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount === 1;
+  }
+  
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: this._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+  
+  return false;
+};
+
+// Get seconds until this account may attempt to log in again, and whether
+// that is because of a lockout rather than a progressive delay
+userSchema.methods.getLoginRetryAfter = function() {
+  const { failedAttempts, lastFailedAt, lockedUntil } = this.loginSecurity;
+  
+  if (lockedUntil && lockedUntil > new Date()) {
+    return { retryAfter: Math.ceil((lockedUntil - Date.now()) / 1000), locked: true };
+  }
+  
+  const { freeAttempts } = getLoginProtectionSettings();
+  return {
+    retryAfter: getRemainingSeconds(lastFailedAt, getProgressiveDelay(failedAttempts, freeAttempts)),
+    locked: false
+  };
+};
+
+// Record a failed login, locking the account once the limit is reached
+userSchema.methods.registerFailedLogin = async function() {
+  const { maxAttempts, lockoutMinutes } = getLoginProtectionSettings();
+  const User = this.constructor;
+  
+  const updated = await User.findByIdAndUpdate(
+    this._id,
+    {
+      $inc: { 'loginSecurity.failedAttempts': 1 },
+      $set: { 'loginSecurity.lastFailedAt': new Date() }
+    },
+    { new: true }
+  ).select('loginSecurity');
+  
+  this.loginSecurity = updated.loginSecurity;
+  
+  if (updated.loginSecurity.failedAttempts < maxAttempts) {
+    return { justLocked: false };
+  }
+  
+  // Start a fresh count once the lockout ends
+  const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+  await User.updateOne(
+    { _id: this._id },
+    {
+      'loginSecurity.failedAttempts': 0,
+      'loginSecurity.lockedUntil': lockedUntil
+    }
+  );
+  
+  this.loginSecurity.failedAttempts = 0;
+  this.loginSecurity.lockedUntil = lockedUntil;
+  return { justLocked: true, lockedUntil };
+};
+
+// Clear failed login tracking and any lockout
+userSchema.methods.resetFailedLogins = function() {
+  this.loginSecurity.failedAttempts = 0;
+  this.loginSecurity.lastFailedAt = null;
+  this.loginSecurity.lockedUntil = null;
+  
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      'loginSecurity.failedAttempts': 0,
+      'loginSecurity.lastFailedAt': null,
+      'loginSecurity.lockedUntil': null
+    }
+  );
+};
+
+// Check whether the account was suspended by a moderator
+userSchema.methods.isSuspended = function() {
+  return !this.isActive && this.deactivation.type === 'suspension';
+};
+
+// Check whether a suspension has run its course
+userSchema.methods.isSuspensionOver = function() {
+  return this.isSuspended() && Boolean(this.deactivation.until) && this.deactivation.until <= new Date();
+};
+
+// Check whether the owner can reactivate the account themselves. Accounts
+// deactivated before suspensions existed have no type and were self-deactivated.
+userSchema.methods.canSelfReactivate = function() {
+  return !this.isActive && this.deactivation.type !== 'suspension';
+};
+
+// Hide or show the user's stories and comments in public listings
+userSchema.methods.setContentHidden = function(hidden) {
+  return Promise.all([
+    mongoose.model('Story').updateMany({ author: this._id }, { isAuthorInactive: hidden }),
+    mongoose.model('Comment').updateMany({ user: this._id }, { isAuthorInactive: hidden })
+  ]);
+};
+
+// Deactivate the account, either at the owner's request or as a suspension
+userSchema.methods.deactivate = async function({ type = 'self', reason = null, by = null, until = null } = {}) {
+  this.isActive = false;
+  this.deactivation = { type, reason, by, at: new Date(), until };
+  await this.save();
+  await this.setContentHidden(true);
+  return this;
+};
+
+// Reactivate the account and show its content again
+userSchema.methods.reactivate = async function() {
+  this.isActive = true;
+  this.deactivation = { type: null, reason: null, by: null, at: null, until: null };
+  await this.save();
+  await this.setContentHidden(false);
+  return this;
+};
+
+// Get when the user may next change their username, or null if they can now
+userSchema.methods.getNextUsernameChangeAt = async function() {
+  const intervalDays = parseInt(process.env.USERNAME_CHANGE_INTERVAL_DAYS) || 30;
+  const lastChange = await UsernameChange.findOne({ user: this._id }).sort({ createdAt: -1 });
+  
+  if (!lastChange) return null;
+  
+  const nextChangeAt = new Date(lastChange.createdAt.getTime() + intervalDays * 24 * 60 * 60 * 1000);
+  return nextChangeAt > new Date() ? nextChangeAt : null;
+};
+
+// Change the username, recording the old one so that links to it keep working
+userSchema.methods.changeUsername = async function(username) {
+  const oldUsername = this.username;
+  
+  this.username = username;
+  await this.save();
+  
+  await UsernameChange.create({ user: this._id, oldUsername, newUsername: username });
+  return this;
+};
+
 // Update last active timestamp
 userSchema.methods.updateLastActive = function() {
   this.lastActive = new Date();
   return this.save();
 };
 
-// Remove password from JSON output
+// Static method to store the lowercase username and full name of users saved
+// before directory search used them. Handles up to `limit` users per call.
+userSchema.statics.backfillSearchNames = async function(limit = 500) {
+  const users = await this.find({
+    $or: [{ usernameLower: { $exists: false } }, { fullNameLower: { $exists: false } }]
+  })
+    .select('username fullName')
+    .limit(limit);
+  
+  for (const user of users) {
+    await this.updateOne({ _id: user._id }, {
+      usernameLower: user.username.toLowerCase(),
+      fullNameLower: (user.fullName || '').toLowerCase()
+    });
+  }
+  
+  return users.length;
+};
+
+// Static method to reactivate accounts whose suspension has ended
+userSchema.statics.liftExpiredSuspensions = async function() {
+  const users = await this.find({
+    isActive: false,
+    'deactivation.type': 'suspension',
+    'deactivation.until': { $lte: new Date() }
+  });
+  
+  for (const user of users) {
+    await user.reactivate();
+  }
+  
+  return users.length;
+};
+
+// Static method to find a user by a linked external identity
+userSchema.statics.findByIdentity = function(provider, subject) {
+  return this.findOne({ identities: { $elemMatch: { provider, subject } } });
+};
+
+// Static method to check that a username is neither taken nor reserved for
+// another user who released it recently
+userSchema.statics.isUsernameAvailable = async function(username, userId = null) {
+  const query = { username };
+  if (userId) query._id = { $ne: userId };
+  
+  if (await this.exists(query)) return false;
+  return !(await UsernameChange.isReserved(username, userId));
+};
+
+// Static method to find a user by their current or a previous username.
+// `redirected` is true when the handle is no longer the user's username.
+userSchema.statics.resolveUsername = async function(username) {
+  const user = await this.findOne({ username });
+  if (user) return { user, redirected: false };
+  
+  const change = await UsernameChange.findLatestFrom(username);
+  const previousOwner = change ? await this.findById(change.user) : null;
+  
+  return { user: previousOwner, redirected: Boolean(previousOwner) };
+};
+
+// Static method to derive an unused username from a suggestion
+userSchema.statics.generateUniqueUsername = async function(suggestion) {
+  let base = String(suggestion || '')
+    .normalize('NFKD')
+    .replace(/[^a-zA-Z0-9_]/g, '')
+    .slice(0, 24);
+  
+  if (base.length < 3) base = `user${base}`;
+  
+  if (await this.isUsernameAvailable(base)) return base;
+  
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const candidate = `${base}_${Math.floor(Math.random() * 100000)}`;
+    if (await this.isUsernameAvailable(candidate)) return candidate;
+  }
+  
+  return `${base.slice(0, 17)}_${Date.now().toString(36)}`;
+};
+
+// Remove password and reset token from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
 // Indexes for better query performance
 userSchema.index({ username: 1 });
+userSchema.index({ usernameLower: 1 });
+userSchema.index({ fullNameLower: 1 });
 userSchema.index({ email: 1 });
 userSchema.index({ 'preferences.genres': 1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 userSchema.index({ lastActive: -1 });
-userSchema.index({ followersCount: -1 });
-userSchema.index({ totalReads: -1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+userSchema.index({ followersCount: -1, _id: -1 });
+userSchema.index({ totalReads: -1, _id: -1 });
+userSchema.index({ storiesCount: -1, _id: -1 });
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
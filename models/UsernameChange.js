@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A record of a user changing their username. Old handles keep resolving to
+// the account and stay reserved for it for a cooling-off period.
+const usernameChangeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  oldUsername: {
+    type: String,
+    required: [true, 'Old username is required']
+  },
+  newUsername: {
+    type: String,
+    required: [true, 'New username is required']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Get how long a released username stays reserved for its previous owner
+const getReservationDays = () => parseInt(process.env.USERNAME_RESERVATION_DAYS) || 90;
+
+// Static method to check whether a handle is reserved for someone other than
+// the given user because they released it recently
+usernameChangeSchema.statics.isReserved = async function(username, exceptUserId = null) {
+  const since = new Date(Date.now() - getReservationDays() * 24 * 60 * 60 * 1000);
+  const query = { oldUsername: username, createdAt: { $gt: since } };
+  if (exceptUserId) query.user = { $ne: exceptUserId };
+  
+  return Boolean(await this.exists(query));
+};
+
+// Static method to get the most recent change away from a handle
+usernameChangeSchema.statics.findLatestFrom = function(username) {
+  return this.findOne({ oldUsername: username }).sort({ createdAt: -1 });
+};
+
+// Static method to get a user's username history, newest first
+usernameChangeSchema.statics.getUserHistory = function(userId) {
+  return this.find({ user: userId })
+    .select('oldUsername newUsername createdAt')
+    .sort({ createdAt: -1 });
+};
+
+// Indexes for better query performance
+usernameChangeSchema.index({ oldUsername: 1, createdAt: -1 });
+usernameChangeSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsernameChange', usernameChangeSchema);
@@ -9,19 +9,86 @@ const {
   updateProfile,
   changePassword,
   deactivateAccount,
+  requestReactivation,
+  confirmReactivation,
   refreshToken,
-  logout
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  verifyTwoFactorLogin,
+  getLoginActivity
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy
+} = require('../controllers/twoFactorController');
+const {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions
+} = require('../controllers/sessionController');
+const {
+  getProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  oauthCallback,
+  getIdentities,
+  unlinkIdentity
+} = require('../controllers/oauthController');
+const {
+  getApiTokenScopes,
+  getApiTokens,
+  createApiToken,
+  revokeApiToken
+} = require('../controllers/apiTokenController');
+const {
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  getAccountDeletion,
+  scheduleAccountDeletion,
+  cancelAccountDeletion
+} = require('../controllers/privacyController');
 
 // Import middleware
-const { authenticate } = require('../middleware/auth');
+const {
+  authenticate,
+  authenticateTwoFactorSetup,
+  optionalAuth,
+  can,
+  rejectApiTokens
+} = require('../middleware/auth');
 const { uploadSingle, cleanupOnError } = require('../middleware/upload');
 const {
   validateUserRegistration,
   validateUserLogin,
-  validateUserUpdate
+  validateUserUpdate,
+  validateRefreshToken,
+  validateEmailVerification,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateReactivationRequest,
+  validateReactivation,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorPolicy,
+  validateOAuthCallback,
+  validateApiTokenCreation,
+  validateAccountDeletion,
+  validateMongoId,
+  validateCursorPagination
 } = require('../middleware/validation');
 
+// Account and security management needs a signed-in session, never an API token
+router.use(rejectApiTokens);
+
 /**
  * @swagger
  * tags:
@@ -29,6 +96,27 @@ const {
  *   description: User authentication and profile management
  */
 
+/**
+ * @swagger
+ * tags:
+ *   name: Two-Factor Authentication
+ *   description: TOTP two-factor authentication and recovery codes
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Social Login
+ *   description: OAuth2 / OpenID Connect sign-in and linked accounts
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Tokens
+ *   description: Personal access tokens with scopes for scripts and bots
+ */
+
 /**
  * @swagger
  * /api/auth/register:
@@ -64,6 +152,10 @@ const {
  *                 type: string
  *                 maxLength: 50
  *                 example: John Doe
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: John's iPhone
  *               role:
  *                 type: string
  *                 enum: [reader, writer, both]
@@ -85,6 +177,11 @@ const {
  *                   example: User registered successfully
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use refresh token for POST /api/auth/refresh
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
  *                 user:
  *                   $ref: '#/components/schemas/User'
@@ -120,6 +217,10 @@ router.post('/register', validateUserRegistration, register);
  *               password:
  *                 type: string
  *                 example: Password123
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: John's iPhone
  *     responses:
  *       200:
  *         description: Login successful
@@ -136,11 +237,30 @@ router.post('/register', validateUserRegistration, register);
  *                   example: Login successful
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use refresh token for POST /api/auth/refresh
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: Present instead of tokens when a 2FA code is needed - send it with challengeToken to /api/auth/2fa/verify
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: Present instead of tokens when the user's role requires 2FA - enrol with challengeToken via /api/auth/2fa/setup and /api/auth/2fa/enable
+ *                 challengeToken:
+ *                   type: string
  *       401:
- *         description: Invalid credentials or account deactivated
+ *         description: Invalid credentials
+ *       403:
+ *         description: Account is deactivated (`canReactivate`) or suspended (`suspension` with reason and end date)
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts from this client or for this account - retry after the Retry-After header
  *         content:
  *           application/json:
  *             schema:
@@ -199,6 +319,7 @@ router.get('/me', authenticate, getMe);
  *                 type: string
  *                 minLength: 3
  *                 maxLength: 30
+ *                 description: Can be changed once per USERNAME_CHANGE_INTERVAL_DAYS; the old handle keeps resolving to your account
  *               bio:
  *                 type: string
  *                 maxLength: 500
@@ -207,6 +328,17 @@ router.get('/me', authenticate, getMe);
  *                 format: binary
  *               preferences:
  *                 type: object
+ *               privacy:
+ *                 type: object
+ *                 description: Choose what your public profile shows
+ *                 properties:
+ *                   isPrivate:
+ *                     type: boolean
+ *                     description: New followers need your approval
+ *                   showEmail:
+ *                     type: boolean
+ *                   showPreferences:
+ *                     type: boolean
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -217,7 +349,9 @@ router.get('/me', authenticate, getMe);
  *       401:
  *         description: Unauthorized
  *       400:
- *         description: Validation error
+ *         description: Validation error, or the username is taken or reserved
+ *       429:
+ *         description: Username was changed too recently - see nextChangeAt
  */
 router.put('/profile', 
   authenticate,
@@ -232,6 +366,7 @@ router.put('/profile',
  * /api/auth/change-password:
  *   put:
  *     summary: Change user password
+ *     description: Revokes all other sessions of the user. Accounts created through social login have no password yet and can set one without currentPassword.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -242,11 +377,11 @@ router.put('/profile',
  *           schema:
  *             type: object
  *             required:
- *               - currentPassword
  *               - newPassword
  *             properties:
  *               currentPassword:
  *                 type: string
+ *                 description: Required if the account has a password
  *               newPassword:
  *                 type: string
  *                 minLength: 6
@@ -268,10 +403,20 @@ router.put('/change-password', authenticate, changePassword);
  * @swagger
  * /api/auth/refresh:
  *   post:
- *     summary: Refresh JWT token
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: Refresh tokens are single-use. Presenting a token that has already been rotated revokes its session.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Token refreshed successfully
@@ -289,16 +434,19 @@ router.put('/change-password', authenticate, changePassword);
  *                 token:
  *                   type: string
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
  *       401:
- *         description: Unauthorized
+ *         description: Refresh token invalid, expired, reused or session revoked
  */
-router.post('/refresh', authenticate, refreshToken);
+router.post('/refresh', validateRefreshToken, refreshToken);
 
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
- *     summary: Logout user
+ *     summary: Logout user and revoke the current session
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -319,6 +467,9 @@ router.post('/logout', authenticate, logout);
  * /api/auth/deactivate:
  *   delete:
  *     summary: Deactivate user account
+ *     description: |
+ *       Revokes all sessions of the user and hides their stories and comments. The account
+ *       can be restored with a reactivation link from /api/auth/reactivate.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -334,4 +485,961 @@ router.post('/logout', authenticate, logout);
  */
 router.delete('/deactivate', authenticate, deactivateAccount);
 
+/**
+ * @swagger
+ * /api/auth/reactivate:
+ *   post:
+ *     summary: Request a reactivation link for a deactivated account
+ *     description: Always responds with success so that it does not reveal which emails are registered. Suspended accounts cannot be reactivated this way.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reactivation link sent if a deactivated account exists
+ *       400:
+ *         description: Validation error
+ */
+router.post('/reactivate', validateReactivationRequest, requestReactivation);
+
+/**
+ * @swagger
+ * /api/auth/reactivate/confirm:
+ *   post:
+ *     summary: Reactivate an account with the emailed token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account reactivated
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post('/reactivate/confirm', validateReactivation, confirmReactivation);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify email address using the token from the verification link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Verification link is invalid or has expired
+ */
+router.post('/verify-email', validateEmailVerification, verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: Verification email was sent too recently
+ */
+router.post('/resend-verification', authenticate, resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: Always responds with the same message so it cannot be used to discover registered emails.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: john@example.com
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error
+ */
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password using the emailed one-time token
+ *     description: Revokes all existing sessions on success.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *                 example: NewPassword123
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Validation error or invalid/expired token
+ */
+router.post('/reset-password', validatePasswordReset, resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete login with a 2FA code or a recovery code
+ *     tags: [Two-Factor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Token returned by /api/auth/login
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: a1b2c-3d4e5
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful - same response as /api/auth/login
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts - retry after the Retry-After header
+ */
+router.post('/2fa/verify', validateTwoFactorLogin, verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get two-factor authentication status
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 2FA status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     enabledAt:
+ *                       type: string
+ *                       format: date-time
+ *                     recoveryCodesRemaining:
+ *                       type: integer
+ *                     required:
+ *                       type: boolean
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/2fa', authenticate, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start 2FA enrolment
+ *     description: Returns a new secret and otpauth URI for an authenticator app. Authenticate with a bearer token and password, or with the challengeToken from a login that requires 2FA setup.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: otpauth://totp/Storytelling%20Platform:john%40example.com?secret=...
+ *       400:
+ *         description: Already enabled or password incorrect
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/setup', authenticateTwoFactorSetup, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm 2FA enrolment with a first code
+ *     description: Returns one-time recovery codes. When called with a setup challengeToken, also returns access and refresh tokens.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/enable', authenticateTwoFactorSetup, validateTwoFactorCode, enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable 2FA
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: Incorrect password or code
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: 2FA is required for the user's role
+ */
+router.post('/2fa/disable', authenticate, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes with a new set
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/2fa/recovery-codes', authenticate, validateTwoFactorCode, regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   get:
+ *     summary: Get 2FA policy
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current 2FA policy
+ *       403:
+ *         description: Requires the settings.manage permission
+ *   put:
+ *     summary: Require 2FA for admins
+ *     description: The calling admin must have 2FA enabled. Admins without 2FA are signed out and must enrol at next login.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requireForAdmins
+ *             properties:
+ *               requireForAdmins:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Caller has not enabled 2FA
+ *       403:
+ *         description: Requires the settings.manage permission
+ */
+router.get('/2fa/policy', authenticate, can('settings.manage'), getTwoFactorPolicy);
+router.put('/2fa/policy', authenticate, can('settings.manage'), validateTwoFactorPolicy, updateTwoFactorPolicy);
+
+/**
+ * @swagger
+ * /api/auth/login-activity:
+ *   get:
+ *     summary: Get recent sign-in attempts on the current user's account
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Attempts per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the total; on by default with page, off with cursor
+ *     responses:
+ *       200:
+ *         description: Sign-in attempts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attempts:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           success:
+ *                             type: boolean
+ *                           reason:
+ *                             type: string
+ *                             enum: [success, invalid_password, invalid_2fa, account_deactivated, account_suspended, account_locked, throttled]
+ *                           ipAddress:
+ *                             type: string
+ *                           userAgent:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/login-activity', authenticate, validateCursorPagination, getLoginActivity);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           deviceLabel:
+ *                             type: string
+ *                             example: Chrome on Android
+ *                           deviceName:
+ *                             type: string
+ *                           userAgent:
+ *                             type: string
+ *                           ipAddress:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastUsedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *                           isCurrent:
+ *                             type: boolean
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Sign out of all sessions except the current one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions', authenticate, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out a specific session
+ *     description: The session's access and refresh tokens stop working on their next request.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authenticate, validateMongoId(), revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/oauth/providers:
+ *   get:
+ *     summary: List enabled social login providers
+ *     tags: [Social Login]
+ *     responses:
+ *       200:
+ *         description: Provider ids and display names
+ */
+router.get('/oauth/providers', getProviders);
+
+/**
+ * @swagger
+ * /api/auth/oauth/identities:
+ *   get:
+ *     summary: Get the current user's linked provider accounts
+ *     tags: [Social Login]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked identities and whether the account has a password
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/oauth/identities', authenticate, getIdentities);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}:
+ *   get:
+ *     summary: Start social login
+ *     description: Returns the provider URL to send the user to (authorization code flow with PKCE). The provider redirects back to the frontend, which posts the code and state to the callback endpoint.
+ *     tags: [Social Login]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL
+ *       404:
+ *         description: Login provider not found
+ *   delete:
+ *     summary: Unlink a provider account
+ *     description: Only allowed while the account keeps a password or another linked provider.
+ *     tags: [Social Login]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlinked successfully
+ *       400:
+ *         description: This is the only login method left
+ *       404:
+ *         description: No linked account for this provider
+ */
+router.get('/oauth/:provider', startOAuthLogin);
+router.delete('/oauth/:provider', authenticate, unlinkIdentity);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/link:
+ *   post:
+ *     summary: Start linking a provider account to the current user
+ *     tags: [Social Login]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL
+ *       404:
+ *         description: Login provider not found
+ */
+router.post('/oauth/:provider/link', authenticate, startOAuthLink);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/callback:
+ *   post:
+ *     summary: Finish social login or account linking
+ *     description: |
+ *       Exchanges the authorization code for the provider profile. Logins sign in the
+ *       linked user, or create an account with a generated username for a new verified
+ *       email. Responds like /login, including 2FA challenges. Linking must be finished
+ *       while logged in as the user who started it.
+ *     tags: [Social Login]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, 2FA required, or account linked
+ *       400:
+ *         description: Invalid or expired state, or no verified email
+ *       403:
+ *         description: Linking was started by another user, or you are not logged in
+ *       409:
+ *         description: Email already registered, or identity linked to another user
+ *       502:
+ *         description: Identity provider error
+ */
+router.post('/oauth/:provider/callback', optionalAuth, validateOAuthCallback, oauthCallback);
+
+/**
+ * @swagger
+ * /api/auth/tokens/scopes:
+ *   get:
+ *     summary: List the scopes that can be granted to API tokens
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scopes and their descriptions
+ */
+router.get('/tokens/scopes', authenticate, getApiTokenScopes);
+
+/**
+ * @swagger
+ * /api/auth/tokens:
+ *   get:
+ *     summary: List your active API tokens
+ *     description: Tokens are identified by name and prefix; the full token is never returned again.
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active tokens with scopes and last use
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create an API token
+ *     description: |
+ *       The token is only included in this response. Send it as
+ *       `Authorization: Bearer cpat_...`; it can only call routes allowed by its scopes
+ *       and never account, security or admin endpoints.
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Publishing script
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [stories:read, chapters:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: Leave out for a token that does not expire
+ *     responses:
+ *       201:
+ *         description: API token created
+ *       400:
+ *         description: Validation error or too many tokens
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/tokens', authenticate, getApiTokens);
+router.post('/tokens', authenticate, validateApiTokenCreation, createApiToken);
+
+/**
+ * @swagger
+ * /api/auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke an API token
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API token revoked successfully
+ *       404:
+ *         description: API token not found
+ */
+router.delete('/tokens/:id', authenticate, validateMongoId(), revokeApiToken);
+
+/**
+ * @swagger
+ * /api/auth/export:
+ *   get:
+ *     summary: List your data exports
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recent exports with their status and expiry
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Request a copy of your data
+ *     description: |
+ *       Bundles your profile, stories, chapters, comments, likes, ratings, follows,
+ *       notifications, sign-in activity and username history into a .tar.gz archive of JSON files. The
+ *       archive is built in the background and you are emailed when it is ready.
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export queued
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: An export was already requested recently
+ */
+router.get('/export', authenticate, getDataExports);
+router.post('/export', authenticate, requestDataExport);
+
+/**
+ * @swagger
+ * /api/auth/export/{id}/download:
+ *   get:
+ *     summary: Download a data export archive
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The archive
+ *         content:
+ *           application/gzip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Export is not ready or has expired
+ *       404:
+ *         description: Data export not found
+ */
+router.get('/export/:id/download', authenticate, validateMongoId(), downloadDataExport);
+
+/**
+ * @swagger
+ * /api/auth/delete-account:
+ *   get:
+ *     summary: Get your account's deletion schedule
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The scheduled deletion, or null
+ *   post:
+ *     summary: Schedule your account for permanent deletion
+ *     description: |
+ *       The account is erased once the grace period has passed unless the deletion is
+ *       cancelled. Comments are kept without their author; likes, ratings and follows are
+ *       removed and counters updated. Stories are deleted or transferred to another user.
+ *       Other devices are signed out.
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Required when the account has a password
+ *               storyAction:
+ *                 type: string
+ *                 enum: [delete, transfer]
+ *                 default: delete
+ *               transferTo:
+ *                 type: string
+ *                 description: User ID to receive your stories when storyAction is transfer
+ *     responses:
+ *       200:
+ *         description: Account scheduled for deletion
+ *       400:
+ *         description: Incorrect password, invalid transfer recipient or already scheduled
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/delete-account', authenticate, getAccountDeletion);
+router.post('/delete-account', authenticate, validateAccountDeletion, scheduleAccountDeletion);
+
+/**
+ * @swagger
+ * /api/auth/delete-account/cancel:
+ *   post:
+ *     summary: Cancel a scheduled account deletion
+ *     tags: [Privacy]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account deletion cancelled
+ *       400:
+ *         description: Account is not scheduled for deletion
+ */
+router.post('/delete-account/cancel', authenticate, cancelAccountDeletion);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  applyForVerification,
+  getMyVerification,
+  getVerificationQueue,
+  approveVerification,
+  rejectVerification
+} = require('../controllers/authorVerificationController');
+
+const { authenticate, can, requireScope, rejectApiTokens } = require('../middleware/auth');
+const {
+  validateVerificationApplication,
+  validateVerificationRejection,
+  validateVerificationQueue,
+  validateMongoId,
+  validateCursorPagination
+} = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Author Verification
+ *   description: Applying for and reviewing verified author status
+ */
+
+/**
+ * @swagger
+ * /api/author-verification:
+ *   get:
+ *     summary: Get your verified author status and applications
+ *     tags: [Author Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification status and applications, newest first
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Apply to become a verified author (requires story.create)
+ *     tags: [Author Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - statement
+ *             properties:
+ *               statement:
+ *                 type: string
+ *                 minLength: 20
+ *                 maxLength: 1000
+ *                 description: Who you are and why you should be verified
+ *               links:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: uri
+ *                 description: Published work, your website or social profiles
+ *     responses:
+ *       201:
+ *         description: Application submitted
+ *       400:
+ *         description: Validation error, already verified or an application is pending
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/',
+  authenticate,
+  requireScope('profile:read'),
+  getMyVerification
+);
+
+router.post('/',
+  authenticate,
+  rejectApiTokens,
+  can('story.create'),
+  validateVerificationApplication,
+  applyForVerification
+);
+
+/**
+ * @swagger
+ * /api/author-verification/requests:
+ *   get:
+ *     summary: List verification applications for review (requires author.verify)
+ *     tags: [Author Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *         description: Applications with this status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Applications per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the total; on by default with page, off with cursor
+ *     responses:
+ *       200:
+ *         description: Applications, oldest first
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/requests',
+  authenticate,
+  can('author.verify'),
+  validateCursorPagination,
+  validateVerificationQueue,
+  getVerificationQueue
+);
+
+/**
+ * @swagger
+ * /api/author-verification/requests/{id}/approve:
+ *   post:
+ *     summary: Approve an application and verify the author (requires author.verify)
+ *     tags: [Author Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     responses:
+ *       200:
+ *         description: Author verified
+ *       400:
+ *         description: Application already reviewed
+ *       403:
+ *         description: Missing permission or your own application
+ *       404:
+ *         description: Application not found
+ */
+router.post('/requests/:id/approve',
+  authenticate,
+  can('author.verify'),
+  validateMongoId(),
+  approveVerification
+);
+
+/**
+ * @swagger
+ * /api/author-verification/requests/{id}/reject:
+ *   post:
+ *     summary: Reject an application with a reason (requires author.verify)
+ *     tags: [Author Verification]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Application ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Shown to the applicant
+ *     responses:
+ *       200:
+ *         description: Application rejected
+ *       400:
+ *         description: Validation error or application already reviewed
+ *       403:
+ *         description: Missing permission or your own application
+ *       404:
+ *         description: Application not found
+ */
+router.post('/requests/:id/reject',
+  authenticate,
+  can('author.verify'),
+  validateMongoId(),
+  validateVerificationRejection,
+  rejectVerification
+);
+
+module.exports = router;
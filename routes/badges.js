@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+const { getBadges } = require('../controllers/badgeController');
+
+const { optionalAuth } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Badges
+ *   description: Achievements earned by readers and writers
+ */
+
+/**
+ * @swagger
+ * /api/badges:
+ *   get:
+ *     summary: List the badges that can be earned
+ *     description: |
+ *       Badges are awarded automatically when a user's metric reaches the badge's threshold.
+ *       Signed-in callers also see which badges they have earned.
+ *     tags: [Badges]
+ *     responses:
+ *       200:
+ *         description: All badges, with earned and awardedAt for signed-in callers
+ */
+router.get('/', optionalAuth, getBadges);
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getBlocks,
+  blockUser,
+  unblockUser
+} = require('../controllers/blockController');
+
+const { authenticate, requireScope } = require('../middleware/auth');
+const {
+  validateBlock,
+  validateBlockFilter,
+  validateMongoId,
+  validateCursorPagination
+} = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Blocks
+ *   description: Blocking and muting users
+ */
+
+/**
+ * @swagger
+ * /api/blocks:
+ *   get:
+ *     summary: List the users you have blocked or muted
+ *     tags: [Blocks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [block, mute]
+ *         description: Only list blocks or only mutes
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Users per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the total; on by default with page, off with cursor
+ *     responses:
+ *       200:
+ *         description: Blocked and muted users, newest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  authenticate,
+  requireScope('blocks:read'),
+  validateCursorPagination,
+  validateBlockFilter,
+  getBlocks
+);
+
+/**
+ * @swagger
+ * /api/blocks/{userId}:
+ *   post:
+ *     summary: Block or mute a user
+ *     description: |
+ *       Blocking removes follows and follow requests in both directions, prevents new follows and
+ *       hides each user's stories, comments and notifications from the other. Muting only hides
+ *       the user's content and notifications from you, without telling them.
+ *     tags: [Blocks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to block or mute
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [block, mute]
+ *                 default: block
+ *     responses:
+ *       200:
+ *         description: User blocked or muted
+ *       400:
+ *         description: Cannot block yourself
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Unblock or unmute a user
+ *     tags: [Blocks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to unblock or unmute
+ *     responses:
+ *       200:
+ *         description: User unblocked or unmuted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: You have not blocked or muted this user
+ */
+router.post('/:userId',
+  authenticate,
+  requireScope('blocks:write'),
+  validateMongoId('userId'),
+  validateBlock,
+  blockUser
+);
+
+router.delete('/:userId',
+  authenticate,
+  requireScope('blocks:write'),
+  validateMongoId('userId'),
+  unblockUser
+);
+
+module.exports = router;
@@ -1,6 +1,14 @@
 const express = require('express');
 const router = express.Router();
 
+const {
+  getChapter,
+  syncReadingProgress
+} = require('../controllers/chapterController');
+
+const { authenticate, optionalAuth, requireScope, can } = require('../middleware/auth');
+const { validateMongoId, validateReadingProgress } = require('../middleware/validation');
+
 /**
  * @swagger
  * tags:
@@ -13,6 +21,7 @@ const router = express.Router();
  * /api/chapters/{id}:
  *   get:
  *     summary: Get a specific chapter
+ *     description: Includes links to the next and previous chapters and, for signed-in readers, their progress in the story and where to resume in this chapter.
  *     tags: [Chapters]
  *     parameters:
  *       - in: path
@@ -32,21 +41,112 @@ const router = express.Router();
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Chapter endpoint - coming soon"
  *                 data:
- *                   $ref: '#/components/schemas/Chapter'
+ *                   type: object
+ *                   properties:
+ *                     chapter:
+ *                       $ref: '#/components/schemas/Chapter'
+ *                     navigation:
+ *                       type: object
+ *                       properties:
+ *                         next:
+ *                           type: object
+ *                           nullable: true
+ *                         previous:
+ *                           type: object
+ *                           nullable: true
+ *                     progress:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         percentComplete:
+ *                           type: number
+ *                         chapter:
+ *                           type: string
+ *                         chapterNumber:
+ *                           type: integer
+ *                         lastReadAt:
+ *                           type: string
+ *                           format: date-time
+ *                         completedAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         resumeAt:
+ *                           type: object
+ *                           nullable: true
+ *                           description: Where to reopen this chapter, if it was the last one read
+ *                           properties:
+ *                             paragraph:
+ *                               type: integer
+ *                             chapterProgress:
+ *                               type: number
+ *       403:
+ *         description: Story is private
  *       404:
  *         description: Chapter not found
  */
-router.get('/:id', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Chapter endpoint - coming soon',
-    data: {}
-  });
-});
+router.get('/:id',
+  optionalAuth,
+  requireScope('chapters:read'),
+  validateMongoId(),
+  getChapter
+);
+
+/**
+ * @swagger
+ * /api/chapters/{id}/progress:
+ *   put:
+ *     summary: Save your reading position in a chapter
+ *     description: |
+ *       Clients call this periodically while reading. Positions older than the one already saved
+ *       (for example from a device that was offline) are not applied; the newer saved position is
+ *       returned instead.
+ *     tags: [Chapters]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Chapter ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paragraph:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Index of the paragraph at the top of the screen
+ *               chapterProgress:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 description: Percent of the chapter scrolled through
+ *               readAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the position was read (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Progress saved, or the newer saved progress
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Chapter not found
+ */
+router.put('/:id/progress',
+  authenticate,
+  requireScope('progress:write'),
+  validateMongoId(),
+  validateReadingProgress,
+  syncReadingProgress
+);
 
 /**
  * @swagger
@@ -108,7 +208,7 @@ router.get('/:id', (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-router.post('/', (req, res) => {
+router.post('/', authenticate, requireScope('chapters:write'), can('story.create'), (req, res) => {
   res.json({
     success: true,
     message: 'Create chapter endpoint - coming soon',
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 
+const { authenticate, optionalAuth, requireScope, can, requireVerifiedEmail } = require('../middleware/auth');
+
 /**
  * @swagger
  * tags:
@@ -59,7 +61,7 @@ const router = express.Router();
  *       404:
  *         description: Story not found
  */
-router.get('/:storyId', (req, res) => {
+router.get('/:storyId', optionalAuth, requireScope('comments:read'), (req, res) => {
   res.json({
     success: true,
     message: 'Comments endpoint - coming soon',
@@ -123,10 +125,12 @@ router.get('/:storyId', (req, res) => {
  *         description: Validation error
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email address not verified
  *       404:
  *         description: Story or chapter not found
  */
-router.post('/', (req, res) => {
+router.post('/', authenticate, requireScope('comments:write'), can('comment.create'), requireVerifiedEmail, (req, res) => {
   res.json({
     success: true,
     message: 'Create comment endpoint - coming soon',
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+
+const { getFeed } = require('../controllers/feedController');
+
+const { authenticate, requireScope } = require('../middleware/auth');
+const { validateFeed } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Feed
+ *   description: Activity from users you follow
+ */
+
+/**
+ * @swagger
+ * /api/feed:
+ *   get:
+ *     summary: Get your home feed, newest first
+ *     description: |
+ *       Merges new stories, new chapters, completed stories, additions to public reading lists
+ *       and reviews from the users you follow. Pass `nextCursor` from the previous page as
+ *       `cursor` to continue. Activity that can no longer be shown is left out, so a page may
+ *       hold fewer than `limit` items; use `hasMore` to tell whether to continue.
+ *     tags: [Feed]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *         description: Activities per page
+ *     responses:
+ *       200:
+ *         description: Activities and the cursor for the next page
+ *       400:
+ *         description: Invalid cursor
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  authenticate,
+  requireScope('feed:read'),
+  validateFeed,
+  getFeed
+);
+
+module.exports = router;
@@ -1,6 +1,18 @@
 const express = require('express');
 const router = express.Router();
 
+const {
+  toggleFollow,
+  getFollowers,
+  getFollowing,
+  getFollowRequests,
+  approveFollowRequest,
+  rejectFollowRequest
+} = require('../controllers/followController');
+
+const { authenticate, optionalAuth, requireScope } = require('../middleware/auth');
+const { validateMongoId, validateCursorPagination } = require('../middleware/validation');
+
 /**
  * @swagger
  * tags:
@@ -8,11 +20,116 @@ const router = express.Router();
  *   description: User following system
  */
 
+/**
+ * @swagger
+ * /api/follows/requests:
+ *   get:
+ *     summary: List follow requests waiting for your approval
+ *     tags: [Follows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Requests per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the total; on by default with page, off with cursor
+ *     responses:
+ *       200:
+ *         description: Pending follow requests, newest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/requests',
+  authenticate,
+  requireScope('follows:read'),
+  validateCursorPagination,
+  getFollowRequests
+);
+
+/**
+ * @swagger
+ * /api/follows/requests/{id}/approve:
+ *   post:
+ *     summary: Approve a follow request
+ *     tags: [Follows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Follow request ID
+ *     responses:
+ *       200:
+ *         description: Request approved; the requester now follows you
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Follow request not found
+ */
+router.post('/requests/:id/approve',
+  authenticate,
+  requireScope('follows:write'),
+  validateMongoId(),
+  approveFollowRequest
+);
+
+/**
+ * @swagger
+ * /api/follows/requests/{id}/reject:
+ *   post:
+ *     summary: Reject a follow request
+ *     tags: [Follows]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Follow request ID
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Follow request not found
+ */
+router.post('/requests/:id/reject',
+  authenticate,
+  requireScope('follows:write'),
+  validateMongoId(),
+  rejectFollowRequest
+);
+
 /**
  * @swagger
  * /api/follows/{userId}:
  *   post:
  *     summary: Toggle follow/unfollow a user
+ *     description: Following a private account creates a pending request instead; toggling again cancels it.
  *     tags: [Follows]
  *     security:
  *       - bearerAuth: []
@@ -36,13 +153,15 @@ const router = express.Router();
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Follow endpoint - coming soon"
+ *                   example: "User followed successfully"
  *                 following:
  *                   type: boolean
  *                   description: True if now following, false if unfollowed
  *                   example: true
- *                 data:
- *                   type: object
+ *                 requested:
+ *                   type: boolean
+ *                   description: True if a follow request is waiting for approval
+ *                   example: false
  *       400:
  *         description: Cannot follow yourself
  *       401:
@@ -50,13 +169,12 @@ const router = express.Router();
  *       404:
  *         description: User not found
  */
-router.post('/:userId', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Follow endpoint - coming soon',
-    data: {}
-  });
-});
+router.post('/:userId',
+  authenticate,
+  requireScope('follows:write'),
+  validateMongoId('userId'),
+  toggleFollow
+);
 
 /**
  * @swagger
@@ -83,6 +201,16 @@ router.post('/:userId', (req, res) => {
  *           type: integer
  *           default: 20
  *         description: Followers per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the total; on by default with page, off with cursor
  *     responses:
  *       200:
  *         description: List of user's followers
@@ -94,25 +222,27 @@ router.post('/:userId', (req, res) => {
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Followers endpoint - coming soon"
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
- *                 pagination:
- *                   $ref: '#/components/schemas/Pagination'
+ *                   type: object
+ *                   properties:
+ *                     followers:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         description: The account is private and you are not an approved follower
  *       404:
  *         description: User not found
  */
-router.get('/followers/:userId', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Followers endpoint - coming soon',
-    data: []
-  });
-});
+router.get('/followers/:userId',
+  optionalAuth,
+  requireScope('follows:read'),
+  validateMongoId('userId'),
+  validateCursorPagination,
+  getFollowers
+);
 
 /**
  * @swagger
@@ -139,6 +269,16 @@ router.get('/followers/:userId', (req, res) => {
  *           type: integer
  *           default: 20
  *         description: Following per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the total; on by default with page, off with cursor
  *     responses:
  *       200:
  *         description: List of users being followed
@@ -150,24 +290,26 @@ router.get('/followers/:userId', (req, res) => {
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Following endpoint - coming soon"
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
- *                 pagination:
- *                   $ref: '#/components/schemas/Pagination'
+ *                   type: object
+ *                   properties:
+ *                     following:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/User'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         description: The account is private and you are not an approved follower
  *       404:
  *         description: User not found
  */
-router.get('/following/:userId', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Following endpoint - coming soon',
-    data: []
-  });
-});
+router.get('/following/:userId',
+  optionalAuth,
+  requireScope('follows:read'),
+  validateMongoId('userId'),
+  validateCursorPagination,
+  getFollowing
+);
 
 module.exports = router;
\ No newline at end of file
@@ -7,8 +7,8 @@ const {
   checkLikeStatus
 } = require('../controllers/likeController');
 
-const { authenticate } = require('../middleware/auth');
-const { validateMongoId, validatePagination } = require('../middleware/validation');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { validateMongoId, validateCursorPagination } = require('../middleware/validation');
 
 /**
  * @swagger
@@ -67,6 +67,7 @@ const { validateMongoId, validatePagination } = require('../middleware/validatio
  */
 router.post('/:targetType/:targetId',
   authenticate,
+  requireScope('likes:write'),
   validateMongoId('targetId'),
   toggleLike
 );
@@ -93,6 +94,16 @@ router.post('/:targetType/:targetId',
  *           default: 20
  *           maximum: 100
  *         description: Number of stories per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the total; on by default with page, off with cursor
  *     responses:
  *       200:
  *         description: List of user's liked stories
@@ -112,26 +123,14 @@ router.post('/:targetType/:targetId',
  *                       items:
  *                         $ref: '#/components/schemas/Story'
  *                     pagination:
- *                       type: object
- *                       properties:
- *                         page:
- *                           type: integer
- *                         limit:
- *                           type: integer
- *                         total:
- *                           type: integer
- *                         totalPages:
- *                           type: integer
- *                         hasNext:
- *                           type: boolean
- *                         hasPrev:
- *                           type: boolean
+ *                       $ref: '#/components/schemas/Pagination'
  *       401:
  *         description: Unauthorized
  */
 router.get('/stories',
   authenticate,
-  validatePagination,
+  requireScope('likes:read'),
+  validateCursorPagination,
   getUserLikedStories
 );
 
@@ -183,6 +182,7 @@ router.get('/stories',
  */
 router.get('/check/:targetType/:targetId',
   authenticate,
+  requireScope('likes:read'),
   validateMongoId('targetId'),
   checkLikeStatus
 );
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 
+const { authenticate, requireScope } = require('../middleware/auth');
+const { validateNotificationList } = require('../middleware/validation');
+const { getNotifications } = require('../controllers/notificationController');
+
 /**
  * @swagger
  * tags:
@@ -30,6 +34,16 @@ const router = express.Router();
  *           default: 20
  *         description: Notifications per page
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the total; on by default with page, off with cursor
+ *       - in: query
  *         name: unreadOnly
  *         schema:
  *           type: boolean
@@ -46,42 +60,38 @@ const router = express.Router();
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Notifications endpoint - coming soon"
  *                 data:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       _id:
- *                         type: string
- *                       title:
- *                         type: string
- *                       message:
- *                         type: string
- *                       type:
- *                         type: string
- *                         enum: [follow, like_story, like_chapter, like_comment, comment_story, comment_chapter, new_chapter, story_published, story_featured, system]
- *                       isRead:
- *                         type: boolean
- *                       createdAt:
- *                         type: string
- *                         format: date-time
- *                       sender:
- *                         $ref: '#/components/schemas/User'
- *                 pagination:
- *                   $ref: '#/components/schemas/Pagination'
+ *                   type: object
+ *                   properties:
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           message:
+ *                             type: string
+ *                           type:
+ *                             type: string
+ *                             enum: [follow, like_story, like_chapter, like_comment, comment_story, comment_chapter, new_chapter, story_published, story_featured, system]
+ *                           isRead:
+ *                             type: boolean
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           sender:
+ *                             $ref: '#/components/schemas/User'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid cursor
  *       401:
  *         description: Unauthorized
  */
-router.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Notifications endpoint - coming soon',
-    data: []
-  });
-});
+router.get('/', authenticate, requireScope('notifications:read'), validateNotificationList, getNotifications);
 
 /**
  * @swagger
@@ -121,7 +131,7 @@ router.get('/', (req, res) => {
  *       403:
  *         description: Not authorized to mark this notification
  */
-router.put('/:id/read', (req, res) => {
+router.put('/:id/read', authenticate, requireScope('notifications:write'), (req, res) => {
   res.json({
     success: true,
     message: 'Mark notification read endpoint - coming soon',
@@ -160,7 +170,7 @@ router.put('/:id/read', (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-router.put('/mark-all-read', (req, res) => {
+router.put('/mark-all-read', authenticate, requireScope('notifications:write'), (req, res) => {
   res.json({
     success: true,
     message: 'Mark all notifications as read - coming soon',
@@ -197,7 +207,7 @@ router.put('/mark-all-read', (req, res) => {
  *       401:
  *         description: Unauthorized
  */
-router.get('/unread-count', (req, res) => {
+router.get('/unread-count', authenticate, requireScope('notifications:read'), (req, res) => {
   res.json({
     success: true,
     data: { count: 0 }
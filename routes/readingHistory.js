@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getReadingHistory,
+  deleteHistoryEntry,
+  clearReadingHistory,
+  updateHistorySettings
+} = require('../controllers/readingHistoryController');
+
+const { authenticate, requireScope, rejectApiTokens } = require('../middleware/auth');
+const {
+  validateHistoryFilter,
+  validateHistorySettings,
+  validateMongoId,
+  validateCursorPagination
+} = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reading History
+ *   description: Stories and chapters you opened
+ */
+
+/**
+ * @swagger
+ * /api/reading-history:
+ *   get:
+ *     summary: Browse your reading history, newest first
+ *     description: Opening a story or chapter records it; re-opening it within 30 minutes updates the same entry.
+ *     tags: [Reading History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only entries read on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only entries read on or before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Entries per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the total; on by default with page, off with cursor
+ *     responses:
+ *       200:
+ *         description: History entries and whether collection is paused
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Clear your reading history
+ *     tags: [Reading History]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reading history cleared
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  authenticate,
+  requireScope('history:read'),
+  validateCursorPagination,
+  validateHistoryFilter,
+  getReadingHistory
+);
+
+router.delete('/',
+  authenticate,
+  requireScope('history:write'),
+  clearReadingHistory
+);
+
+/**
+ * @swagger
+ * /api/reading-history/settings:
+ *   put:
+ *     summary: Pause or resume reading history collection
+ *     tags: [Reading History]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - paused
+ *             properties:
+ *               paused:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Setting updated
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/settings',
+  authenticate,
+  rejectApiTokens,
+  validateHistorySettings,
+  updateHistorySettings
+);
+
+/**
+ * @swagger
+ * /api/reading-history/{id}:
+ *   delete:
+ *     summary: Remove an entry from your reading history
+ *     tags: [Reading History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: History entry ID
+ *     responses:
+ *       200:
+ *         description: Entry removed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: History entry not found
+ */
+router.delete('/:id',
+  authenticate,
+  requireScope('history:write'),
+  validateMongoId(),
+  deleteHistoryEntry
+);
+
+module.exports = router;
@@ -0,0 +1,304 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getMyReadingLists,
+  createReadingList,
+  getReadingList,
+  updateReadingList,
+  deleteReadingList,
+  addStoryToList,
+  removeStoryFromList,
+  reorderReadingList
+} = require('../controllers/readingListController');
+
+const { authenticate, optionalAuth, requireScope } = require('../middleware/auth');
+const {
+  validateReadingList,
+  validateReadingListUpdate,
+  validateReadingListStory,
+  validateReadingListOrder,
+  validateMongoId
+} = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reading Lists
+ *   description: Named reading lists (shelves)
+ */
+
+/**
+ * @swagger
+ * /api/reading-lists:
+ *   get:
+ *     summary: Get your reading lists
+ *     description: The default "Currently reading" and "Favourites" lists are created on first use.
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Your reading lists with their story counts
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Create a reading list
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 60
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, private]
+ *                 default: private
+ *     responses:
+ *       201:
+ *         description: Reading list created
+ *       400:
+ *         description: Validation error or duplicate name
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  authenticate,
+  requireScope('lists:read'),
+  getMyReadingLists
+);
+
+router.post('/',
+  authenticate,
+  requireScope('lists:write'),
+  validateReadingList,
+  createReadingList
+);
+
+/**
+ * @swagger
+ * /api/reading-lists/{id}:
+ *   get:
+ *     summary: Get a reading list with its stories
+ *     description: Public lists can be shared with anyone; private lists are only visible to their owner.
+ *     tags: [Reading Lists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reading list ID
+ *     responses:
+ *       200:
+ *         description: The list, its owner and its stories in order
+ *       404:
+ *         description: Reading list not found
+ *   put:
+ *     summary: Rename a reading list or change its description or visibility
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reading list ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [public, private]
+ *     responses:
+ *       200:
+ *         description: Reading list updated
+ *       400:
+ *         description: Validation error or duplicate name
+ *       404:
+ *         description: Reading list not found
+ *   delete:
+ *     summary: Delete a reading list
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reading list ID
+ *     responses:
+ *       200:
+ *         description: Reading list deleted
+ *       400:
+ *         description: Default reading lists cannot be deleted
+ *       404:
+ *         description: Reading list not found
+ */
+router.get('/:id',
+  optionalAuth,
+  requireScope('lists:read'),
+  validateMongoId(),
+  getReadingList
+);
+
+router.put('/:id',
+  authenticate,
+  requireScope('lists:write'),
+  validateMongoId(),
+  validateReadingListUpdate,
+  updateReadingList
+);
+
+router.delete('/:id',
+  authenticate,
+  requireScope('lists:write'),
+  validateMongoId(),
+  deleteReadingList
+);
+
+/**
+ * @swagger
+ * /api/reading-lists/{id}/stories:
+ *   post:
+ *     summary: Add a story to the end of a reading list
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reading list ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - storyId
+ *             properties:
+ *               storyId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Story added (or already on the list)
+ *       404:
+ *         description: Reading list or story not found
+ */
+router.post('/:id/stories',
+  authenticate,
+  requireScope('lists:write'),
+  validateMongoId(),
+  validateReadingListStory,
+  addStoryToList
+);
+
+/**
+ * @swagger
+ * /api/reading-lists/{id}/stories/order:
+ *   put:
+ *     summary: Rearrange the stories on a reading list
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reading list ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - storyIds
+ *             properties:
+ *               storyIds:
+ *                 type: array
+ *                 description: Every story on the list, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Reading list reordered
+ *       400:
+ *         description: The ids do not match the stories on the list
+ *       404:
+ *         description: Reading list not found
+ */
+router.put('/:id/stories/order',
+  authenticate,
+  requireScope('lists:write'),
+  validateMongoId(),
+  validateReadingListOrder,
+  reorderReadingList
+);
+
+/**
+ * @swagger
+ * /api/reading-lists/{id}/stories/{storyId}:
+ *   delete:
+ *     summary: Remove a story from a reading list
+ *     tags: [Reading Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reading list ID
+ *       - in: path
+ *         name: storyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Story ID
+ *     responses:
+ *       200:
+ *         description: Story removed
+ *       404:
+ *         description: Reading list not found or story not on it
+ */
+router.delete('/:id/stories/:storyId',
+  authenticate,
+  requireScope('lists:write'),
+  validateMongoId(),
+  validateMongoId('storyId'),
+  removeStoryFromList
+);
+
+module.exports = router;
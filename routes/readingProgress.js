@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getContinueReading,
+  getStoryProgress,
+  deleteStoryProgress
+} = require('../controllers/readingProgressController');
+
+const { authenticate, requireScope } = require('../middleware/auth');
+const { validateMongoId, validatePagination } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reading Progress
+ *   description: Where readers are in the stories they read
+ */
+
+/**
+ * @swagger
+ * /api/reading-progress:
+ *   get:
+ *     summary: Get the stories you are part-way through ("continue reading")
+ *     description: Progress is saved with PUT /api/chapters/{id}/progress.
+ *     tags: [Reading Progress]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of stories to return
+ *     responses:
+ *       200:
+ *         description: Unfinished stories, most recently read first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/',
+  authenticate,
+  requireScope('progress:read'),
+  validatePagination,
+  getContinueReading
+);
+
+/**
+ * @swagger
+ * /api/reading-progress/{storyId}:
+ *   get:
+ *     summary: Get your reading progress in a story
+ *     tags: [Reading Progress]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Story ID
+ *     responses:
+ *       200:
+ *         description: Your progress, or null if you have not started the story
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     summary: Forget your reading progress in a story
+ *     tags: [Reading Progress]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Story ID
+ *     responses:
+ *       200:
+ *         description: Progress removed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No reading progress for this story
+ */
+router.get('/:storyId',
+  authenticate,
+  requireScope('progress:read'),
+  validateMongoId('storyId'),
+  getStoryProgress
+);
+
+router.delete('/:storyId',
+  authenticate,
+  requireScope('progress:write'),
+  validateMongoId('storyId'),
+  deleteStoryProgress
+);
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../controllers/roleController');
+
+// Import middleware
+const { authenticate, can } = require('../middleware/auth');
+const {
+  validateRoleCreation,
+  validateRoleUpdate
+} = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Roles, permissions and custom role definitions
+ */
+
+// Every route manages roles
+router.use(authenticate, can('role.manage'));
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: List permissions that can be granted to roles
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions and their descriptions
+ *       403:
+ *         description: Requires the role.manage permission
+ */
+router.get('/permissions', getPermissions);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List built-in and custom roles with their permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles
+ *       403:
+ *         description: Requires the role.manage permission
+ *   post:
+ *     summary: Create a custom role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: editor
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [story.create, story.update.own, story.update.any]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error or role already exists
+ *       403:
+ *         description: The role has permissions you do not have
+ */
+router.get('/', getRoles);
+router.post('/', validateRoleCreation, createRole);
+
+/**
+ * @swagger
+ * /api/roles/{name}:
+ *   put:
+ *     summary: Update a custom role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Built-in roles cannot be changed
+ *       403:
+ *         description: The role has, or would get, permissions you do not have
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: The role was changed by someone else
+ *   delete:
+ *     summary: Delete a custom role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Role is still assigned to users
+ */
+router.put('/:name', validateRoleUpdate, updateRole);
+router.delete('/:name', deleteRole);
+
+module.exports = router;
@@ -15,13 +15,13 @@ const {
 } = require('../controllers/storyController');
 
 // Import middleware
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const { authenticate, optionalAuth, requireScope, can } = require('../middleware/auth');
 const { uploadSingle, cleanupOnError } = require('../middleware/upload');
 const {
   validateStoryCreation,
   validateStoryUpdate,
   validateMongoId,
-  validatePagination,
+  validateCursorPagination,
   validateSearch
 } = require('../middleware/validation');
 
@@ -36,7 +36,13 @@ const {
  * @swagger
  * /api/stories:
  *   get:
- *     summary: Get all stories with filtering and pagination
+ *     summary: Get stories with filtering, search, facet counts and pagination
+ *     description: |
+ *       Filters on genre, language, status, ageRating and warnings take several
+ *       comma-separated values (matching any of them), and each has an exclude variant such as
+ *       `excludeGenre=Horror`. With `facets=true`, `facets` counts the options of each of these
+ *       fields and word count ranges for the current query; each facet ignores its own filter so
+ *       other options keep their counts.
  *     tags: [Stories]
  *     parameters:
  *       - in: query
@@ -53,29 +59,93 @@ const {
  *           maximum: 100
  *         description: Number of stories per page
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the total; on by default with page, off with cursor
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include facet counts (a pass over every matching story, so best asked for once per search)
+ *       - in: query
  *         name: genre
  *         schema:
  *           type: string
- *           enum: [Romance, Fantasy, Mystery, Thriller, Horror, Adventure, Sci-Fi, Drama, Comedy, Action, Historical, Young Adult, Poetry, Non-Fiction, Biography, Other]
- *         description: Filter by genre
+ *         example: Fantasy,Romance
+ *         description: Genres to include (Romance, Fantasy, Mystery, Thriller, Horror, Adventure, Sci-Fi, Drama, Comedy, Action, Historical, Young Adult, Poetry, Non-Fiction, Biography, Other)
+ *       - in: query
+ *         name: excludeGenre
+ *         schema:
+ *           type: string
+ *         description: Genres to leave out
  *       - in: query
  *         name: language
  *         schema:
  *           type: string
- *           enum: [en, es, fr, de, it, pt, ar, other]
- *         description: Filter by language
+ *         description: Languages to include (en, es, fr, de, it, pt, ar, other); excludeLanguage leaves them out
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Statuses to include (ongoing, completed, on-hold, discontinued); excludeStatus leaves them out
+ *       - in: query
+ *         name: ageRating
+ *         schema:
+ *           type: string
+ *         description: Age ratings to include (everyone, teen, mature); excludeAgeRating leaves them out
+ *       - in: query
+ *         name: warnings
+ *         schema:
+ *           type: string
+ *         description: Stories with any of these warnings (violence, mature-content, strong-language, sensitive-topics)
+ *       - in: query
+ *         name: excludeWarnings
+ *         schema:
+ *           type: string
+ *         description: Leave out stories with any of these warnings
+ *       - in: query
+ *         name: minWords
+ *         schema:
+ *           type: integer
+ *         description: Minimum word count
+ *       - in: query
+ *         name: maxWords
+ *         schema:
+ *           type: integer
+ *         description: Maximum word count
+ *       - in: query
+ *         name: updatedAfter
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only stories updated on or after this date
+ *       - in: query
+ *         name: updatedBefore
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only stories updated on or before this date
  *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [newest, oldest, popular, trending, rating]
- *           default: newest
- *         description: Sort stories by
+ *           enum: [relevance, newest, oldest, popular, trending, rating, updated]
+ *         description: Sort stories by. Defaults to relevance when searching and newest otherwise.
  *       - in: query
  *         name: q
  *         schema:
  *           type: string
- *         description: Search query for title, description, or tags
+ *         description: |
+ *           Full-text search over title, tags, author name and description. Use "quotes" for
+ *           phrases; words also match longer words they start and close misspellings. Each
+ *           result gets `search.score` and `search.highlights` with matches wrapped in `<mark>`.
  *       - in: query
  *         name: featured
  *         schema:
@@ -99,6 +169,13 @@ const {
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Story'
+ *                     facets:
+ *                       type: object
+ *                       nullable: true
+ *                       description: |
+ *                         genre, language, status, ageRating and warnings as lists of
+ *                         { value, count }; wordCount as lists of { min, max, count }.
+ *                         Null unless facets=true.
  *                     pagination:
  *                       type: object
  *                       properties:
@@ -117,7 +194,8 @@ const {
  */
 router.get('/', 
   optionalAuth,
-  validatePagination,
+  requireScope('stories:read'),
+  validateCursorPagination,
   validateSearch,
   getStories
 );
@@ -154,7 +232,7 @@ router.get('/',
  *                       items:
  *                         $ref: '#/components/schemas/Story'
  */
-router.get('/trending', getTrendingStories);
+router.get('/trending', optionalAuth, getTrendingStories);
 
 /**
  * @swagger
@@ -188,7 +266,7 @@ router.get('/trending', getTrendingStories);
  *                       items:
  *                         $ref: '#/components/schemas/Story'
  */
-router.get('/featured', getFeaturedStories);
+router.get('/featured', optionalAuth, getFeaturedStories);
 
 /**
  * @swagger
@@ -216,6 +294,16 @@ router.get('/featured', getFeaturedStories);
  *           default: 20
  *         description: Stories per page
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the total; on by default with page, off with cursor
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
@@ -244,8 +332,9 @@ router.get('/featured', getFeaturedStories);
  */
 router.get('/user/:userId',
   optionalAuth,
+  requireScope('stories:read'),
   validateMongoId('userId'),
-  validatePagination,
+  validateCursorPagination,
   getUserStories
 );
 
@@ -327,6 +416,8 @@ router.get('/user/:userId',
  */
 router.post('/',
   authenticate,
+  requireScope('stories:write'),
+  can('story.create'),
   uploadSingle('coverImage'),
   cleanupOnError,
   validateStoryCreation,
@@ -367,7 +458,12 @@ router.post('/',
  *                       description: Whether current user liked this story
  *                     isInReadingList:
  *                       type: boolean
- *                       description: Whether story is in user's reading list
+ *                       description: Whether story is on any of the user's reading lists
+ *                     readingLists:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Ids of the user's reading lists the story is on
  *                     userRating:
  *                       type: integer
  *                       description: User's rating for this story
@@ -426,7 +522,7 @@ router.post('/',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Not authorized to update this story
+ *         description: Not authorized to update this story, or publishing with an unverified email
  *       404:
  *         description: Story not found
  *   delete:
@@ -453,12 +549,14 @@ router.post('/',
  */
 router.get('/:id',
   optionalAuth,
+  requireScope('stories:read'),
   validateMongoId(),
   getStory
 );
 
 router.put('/:id',
   authenticate,
+  requireScope('stories:write'),
   uploadSingle('coverImage'),
   cleanupOnError,
   validateMongoId(),
@@ -468,6 +566,7 @@ router.put('/:id',
 
 router.delete('/:id',
   authenticate,
+  requireScope('stories:write'),
   validateMongoId(),
   deleteStory
 );
@@ -535,6 +634,7 @@ router.delete('/:id',
  */
 router.get('/:id/analytics',
   authenticate,
+  requireScope('stories:read'),
   validateMongoId(),
   getStoryAnalytics
 );
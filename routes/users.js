@@ -1,6 +1,28 @@
 const express = require('express');
 const router = express.Router();
 
+// Import controllers
+const {
+  getUsers,
+  getUserProfile,
+  resolveUsername,
+  unlockUser,
+  assignUserRole,
+  suspendUser,
+  reinstateUser
+} = require('../controllers/userController');
+
+// Import middleware
+const { authenticate, optionalAuth, can } = require('../middleware/auth');
+const {
+  validateMongoId,
+  validateCursorPagination,
+  validateUserSearch,
+  validateUsernameParam,
+  validateRoleAssignment,
+  validateSuspension
+} = require('../middleware/validation');
+
 /**
  * @swagger
  * tags:
@@ -12,14 +34,32 @@ const router = express.Router();
  * @swagger
  * /api/users:
  *   get:
- *     summary: Search and get users
+ *     summary: Browse and search the user directory
+ *     description: Only active accounts are listed, with public profile fields.
  *     tags: [Users]
  *     parameters:
  *       - in: query
  *         name: q
  *         schema:
  *           type: string
- *         description: Search query for username or full name
+ *         description: Prefix of a username or full name
+ *       - in: query
+ *         name: genres
+ *         schema:
+ *           type: string
+ *         description: Comma separated preferred genres (matches any)
+ *         example: Fantasy,Mystery
+ *       - in: query
+ *         name: writers
+ *         schema:
+ *           type: boolean
+ *         description: Only users whose role can publish stories
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [followersCount, totalReads, storiesCount]
+ *           default: followersCount
  *       - in: query
  *         name: page
  *         schema:
@@ -32,39 +72,81 @@ const router = express.Router();
  *           type: integer
  *           default: 20
  *         description: Users per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page; replaces page
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the total; on by default with page, off with cursor
  *     responses:
  *       200:
- *         description: List of users
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "Users endpoint - coming soon"
- *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/User'
+ *         description: Users and pagination
+ *       400:
+ *         description: Validation error
+ */
+router.get('/', validateCursorPagination, validateUserSearch, getUsers);
+
+/**
+ * @swagger
+ * /api/users/resolve/{username}:
+ *   get:
+ *     summary: Resolve a username to its account
+ *     description: |
+ *       Accepts the current username or one the user used before, so that old profile links
+ *       keep working. `redirected` is true when the handle is no longer the user's username
+ *       and clients should link to the returned `username` instead.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: username
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The account's id and current username
+ *       404:
+ *         description: User not found
  */
-router.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Users endpoint - coming soon',
-    data: []
-  });
-});
+router.get('/resolve/:username', validateUsernameParam, resolveUsername);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
- *     summary: Get user profile by ID
+ *     summary: Get a user's public profile by id or username
+ *     description: |
+ *       Returns the profile, counts, earned badges and latest published stories. Email and
+ *       reading preferences are only included when the user shares them in their privacy
+ *       settings. Previous usernames resolve to the account with `redirected: true`.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID or username
+ *     responses:
+ *       200:
+ *         description: User profile, with isFollowing and isFollowedBy for signed-in callers
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id', optionalAuth, getUserProfile);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after failed login attempts (requires user.unlock)
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -74,29 +156,152 @@ router.get('/', (req, res) => {
  *         description: User ID
  *     responses:
  *       200:
- *         description: User profile
+ *         description: User account unlocked successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "User profile endpoint - coming soon"
- *                 data:
- *                   $ref: '#/components/schemas/User'
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Requires the user.unlock permission
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/unlock',
+  authenticate,
+  can('user.unlock'),
+  validateMongoId(),
+  unlockUser
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role (requires user.role.assign)
+ *     description: You cannot change your own role, or assign or remove a role with permissions you do not have.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 example: moderator
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       400:
+ *         description: Role does not exist or is your own account
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/role',
+  authenticate,
+  can('user.role.assign'),
+  validateMongoId(),
+  validateRoleAssignment,
+  assignUserRole
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/suspend:
+ *   post:
+ *     summary: Suspend a user (requires user.suspend)
+ *     description: |
+ *       Signs the user out everywhere and hides their stories and comments until the
+ *       suspension ends or is lifted. Without `until` the suspension lasts until lifted.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Repeated spam in comments
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: User suspended successfully
+ *       400:
+ *         description: Validation error or your own account
+ *       403:
+ *         description: Missing permission
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/suspend',
+  authenticate,
+  can('user.suspend'),
+  validateMongoId(),
+  validateSuspension,
+  suspendUser
+);
+
+/**
+ * @swagger
+ * /api/users/{id}/reinstate:
+ *   post:
+ *     summary: Lift a user's suspension (requires user.suspend)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User reinstated successfully
+ *       400:
+ *         description: User is not suspended
+ *       403:
+ *         description: Missing permission
  *       404:
  *         description: User not found
  */
-router.get('/:id', (req, res) => {
-  res.json({
-    success: true,
-    message: 'User profile endpoint - coming soon',
-    data: {}
-  });
-});
+router.post('/:id/reinstate',
+  authenticate,
+  can('user.suspend'),
+  validateMongoId(),
+  reinstateUser
+);
 
 module.exports = router;
\ No newline at end of file
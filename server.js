@@ -15,10 +15,19 @@ const chapterRoutes = require('./routes/chapters');
 const commentRoutes = require('./routes/comments');
 const likeRoutes = require('./routes/likes');
 const followRoutes = require('./routes/follows');
+const blockRoutes = require('./routes/blocks');
+const readingListRoutes = require('./routes/readingLists');
+const readingProgressRoutes = require('./routes/readingProgress');
+const readingHistoryRoutes = require('./routes/readingHistory');
+const badgeRoutes = require('./routes/badges');
+const authorVerificationRoutes = require('./routes/authorVerification');
+const feedRoutes = require('./routes/feed');
 const notificationRoutes = require('./routes/notifications');
+const roleRoutes = require('./routes/roles');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
+const { startMaintenance } = require('./utils/maintenance');
 const { specs, swaggerUi } = require('./config/swagger');
 
 const app = express();
@@ -66,6 +75,7 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/storytell
 })
 .then(() => {
   console.log('✅ Connected to MongoDB');
+  startMaintenance();
 })
 .catch(err => {
   console.error('❌ MongoDB connection error:', err);
@@ -97,7 +107,15 @@ app.get('/', (req, res) => {
       comments: '/api/comments',
       likes: '/api/likes',
       follows: '/api/follows',
-      notifications: '/api/notifications'
+      blocks: '/api/blocks',
+      readingLists: '/api/reading-lists',
+      readingProgress: '/api/reading-progress',
+      readingHistory: '/api/reading-history',
+      badges: '/api/badges',
+      authorVerification: '/api/author-verification',
+      feed: '/api/feed',
+      notifications: '/api/notifications',
+      roles: '/api/roles'
     }
   });
 });
@@ -110,7 +128,15 @@ app.use('/api/chapters', chapterRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/likes', likeRoutes);
 app.use('/api/follows', followRoutes);
+app.use('/api/blocks', blockRoutes);
+app.use('/api/reading-lists', readingListRoutes);
+app.use('/api/reading-progress', readingProgressRoutes);
+app.use('/api/reading-history', readingHistoryRoutes);
+app.use('/api/badges', badgeRoutes);
+app.use('/api/author-verification', authorVerificationRoutes);
+app.use('/api/feed', feedRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/roles', roleRoutes);
 
 // Handle 404 routes - Fixed the route pattern
 app.use((req, res) => {
@@ -0,0 +1,166 @@
+const User = require('../models/User');
+const Story = require('../models/Story');
+const Chapter = require('../models/Chapter');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Rating = require('../models/Rating');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const ReadingList = require('../models/ReadingList');
+const ReadingProgress = require('../models/ReadingProgress');
+const ReadingHistory = require('../models/ReadingHistory');
+const AuthorVerification = require('../models/AuthorVerification');
+const Activity = require('../models/Activity');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const ApiToken = require('../models/ApiToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const OAuthState = require('../models/OAuthState');
+const UsernameChange = require('../models/UsernameChange');
+const { deleteUserExports } = require('./dataExport');
+const { hasPermission } = require('./permissions');
+
+// Find the user that should receive the stories, if they can still take them
+const getTransferRecipient = async (user) => {
+  if (user.deletion.storyAction !== 'transfer' || !user.deletion.transferTo) {
+    return null;
+  }
+  
+  const recipient = await User.findById(user.deletion.transferTo);
+  
+  if (!recipient || !recipient.isActive || recipient.deletion.scheduledFor ||
+      !(await hasPermission(recipient, 'story.create'))) {
+    return null;
+  }
+  
+  return recipient;
+};
+
+// Hand the user's stories to another user, or delete them with their content
+const handleStories = async (user) => {
+  const recipient = await getTransferRecipient(user);
+  
+  if (recipient) {
+    const { modifiedCount } = await Story.updateMany(
+      { author: user._id },
+      { author: recipient._id, isAuthorInactive: false }
+    );
+    await User.findByIdAndUpdate(recipient._id, { $inc: { storiesCount: modifiedCount } });
+    await Story.syncAuthorName(recipient._id);
+    return;
+  }
+  
+  // Falls back to deletion when the recipient can no longer accept them
+  const stories = await Story.find({ author: user._id });
+  for (const story of stories) {
+    await story.deleteWithContent();
+  }
+};
+
+// Remove the user's likes and take them off the like counters
+const removeLikes = async (userId) => {
+  const likes = await Like.find({ user: userId }).select('type story chapter comment').lean();
+  const idsOf = (type) => likes.filter(like => like.type === type).map(like => like[type]);
+  
+  await Promise.all([
+    Story.updateMany({ _id: { $in: idsOf('story') } }, { $inc: { totalLikes: -1 } }),
+    Chapter.updateMany({ _id: { $in: idsOf('chapter') } }, { $inc: { likes: -1 } }),
+    Comment.updateMany({ _id: { $in: idsOf('comment') } }, { $inc: { likes: -1 } })
+  ]);
+  
+  await Like.deleteMany({ user: userId });
+};
+
+// Remove the user's ratings and recalculate the affected story averages
+const removeRatings = async (userId) => {
+  const storyIds = await Rating.find({ user: userId }).distinct('story');
+  await Rating.deleteMany({ user: userId });
+  
+  const stories = await Story.find({ _id: { $in: storyIds } });
+  for (const story of stories) {
+    await story.calculateAverageRating();
+  }
+};
+
+// Remove the user's follows and update the other side of each one
+const removeFollows = async (userId) => {
+  const [following, followers] = await Promise.all([
+    Follow.find({ follower: userId, isActive: true }).distinct('following'),
+    Follow.find({ following: userId, isActive: true }).distinct('follower')
+  ]);
+  
+  await Promise.all([
+    User.updateMany(
+      { _id: { $in: following } },
+      { $inc: { followersCount: -1 }, $pull: { followers: userId } }
+    ),
+    User.updateMany(
+      { _id: { $in: followers } },
+      { $inc: { followingCount: -1 }, $pull: { following: userId } }
+    )
+  ]);
+  
+  await Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+};
+
+// Permanently erase a user. Comments are kept without their author so that
+// reply threads stay readable; everything else the user owns is removed.
+const eraseUser = async (user) => {
+  await handleStories(user);
+  
+  await Comment.updateMany(
+    { user: user._id },
+    { $set: { user: null, isAnonymized: true } }
+  );
+  
+  await removeLikes(user._id);
+  await removeRatings(user._id);
+  await removeFollows(user._id);
+  await ReadingList.deleteUserLists(user._id);
+  
+  await Promise.all([
+    Notification.deleteMany({ recipient: user._id }),
+    Notification.updateMany({ sender: user._id }, { sender: null }),
+    Notification.updateMany({ 'data.user': user._id }, { 'data.user': null }),
+    Session.deleteMany({ user: user._id }),
+    ApiToken.deleteMany({ user: user._id }),
+    LoginAttempt.deleteMany({ user: user._id }),
+    OAuthState.deleteMany({ user: user._id }),
+    UsernameChange.deleteMany({ user: user._id }),
+    ReadingProgress.deleteMany({ user: user._id }),
+    ReadingHistory.deleteMany({ user: user._id }),
+    AuthorVerification.deleteMany({ user: user._id }),
+    Activity.deleteMany({ actor: user._id }),
+    AuthorVerification.updateMany({ reviewedBy: user._id }, { reviewedBy: null }),
+    Block.deleteMany({ $or: [{ blocker: user._id }, { blocked: user._id }] }),
+    deleteUserExports(user._id)
+  ]);
+  
+  if (user.profilePicture) {
+    const { deleteFile } = require('../middleware/upload');
+    deleteFile(`uploads/profiles/${user.profilePicture.split('/').pop()}`);
+  }
+  
+  await user.deleteOne();
+};
+
+// Erase every account whose deletion grace period has passed
+const processDueDeletions = async () => {
+  const users = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } });
+  
+  for (const user of users) {
+    try {
+      await eraseUser(user);
+    } catch (error) {
+      // Left scheduled so that the next run retries it
+      console.error(`Account deletion error for user ${user._id}:`, error);
+    }
+  }
+  
+  return users.length;
+};
+
+module.exports = {
+  eraseUser,
+  processDueDeletions
+};
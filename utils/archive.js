@@ -0,0 +1,56 @@
+const zlib = require('zlib');
+
+const BLOCK_SIZE = 512;
+
+// Write a string into a tar header field
+const writeField = (header, value, offset, length) => {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+};
+
+// Encode a number as a NUL-terminated octal tar header field
+const writeOctal = (header, value, offset, length) => {
+  writeField(header, `${value.toString(8).padStart(length - 1, '0')}\0`, offset, length);
+};
+
+// Build the 512 byte ustar header for one file
+const createHeader = (name, size, modifiedAt) => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  
+  writeField(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8); // mode
+  writeOctal(header, 0, 108, 8); // uid
+  writeOctal(header, 0, 116, 8); // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(modifiedAt.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156); // checksum is computed with this field as spaces
+  writeField(header, '0', 156, 1); // regular file
+  writeField(header, 'ustar\0', 257, 6);
+  writeField(header, '00', 263, 2);
+  
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  writeField(header, `${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8);
+  
+  return header;
+};
+
+// Bundle files into a gzipped tar archive. Each file is { name, content }
+// where content is a string or Buffer; names must be under 100 bytes.
+const createTarGz = (files, modifiedAt = new Date()) => {
+  const blocks = [];
+  
+  files.forEach(({ name, content }) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    
+    blocks.push(createHeader(name, data.length, modifiedAt), data, Buffer.alloc(padding));
+  });
+  
+  // Two empty blocks mark the end of the archive
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  
+  return zlib.gzipSync(Buffer.concat(blocks));
+};
+
+module.exports = {
+  createTarGz
+};
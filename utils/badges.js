@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { BADGES } = require('../config/badges');
+
+// Values badge rules can be written against, computed from the counters the
+// User, Story and Chapter models already keep
+const METRICS = {
+  chaptersPublished: async (userId) => {
+    const [totals] = await mongoose.model('Story').aggregate([
+      { $match: { author: userId } },
+      { $group: { _id: null, chapters: { $sum: '$chaptersCount' } } }
+    ]);
+    return totals ? totals.chapters : 0;
+  },
+  wordsWritten: async (userId) => {
+    const [totals] = await mongoose.model('Story').aggregate([
+      { $match: { author: userId } },
+      { $group: { _id: null, words: { $sum: '$metadata.wordCount' } } }
+    ]);
+    return totals ? totals.words : 0;
+  },
+  storiesFinished: (userId) => mongoose.model('ReadingProgress').countDocuments({
+    user: userId,
+    completedAt: { $ne: null }
+  }),
+  followers: async (userId) => {
+    const user = await mongoose.model('User').findById(userId).select('followersCount');
+    return user ? user.followersCount : 0;
+  }
+};
+
+// Catch typos in config/badges.js when the server starts
+Object.entries(BADGES).forEach(([key, badge]) => {
+  if (!METRICS[badge.metric]) {
+    throw new Error(`Badge "${key}" uses unknown metric "${badge.metric}"`);
+  }
+});
+
+// Award any badges the user has newly earned. Only badges based on the
+// given metrics are checked, so callers pass the ones that just changed.
+// Returns the keys of the badges awarded.
+const awardBadges = async (userId, metrics = Object.keys(METRICS)) => {
+  const User = mongoose.model('User');
+  const user = await User.findById(userId).select('badges');
+  if (!user) return [];
+  
+  const earned = new Set(user.badges.map(entry => entry.badge));
+  const candidates = Object.entries(BADGES)
+    .filter(([key, badge]) => metrics.includes(badge.metric) && !earned.has(key));
+  
+  if (candidates.length === 0) return [];
+  
+  const values = {};
+  for (const [, badge] of candidates) {
+    if (values[badge.metric] === undefined) {
+      values[badge.metric] = await METRICS[badge.metric](user._id);
+    }
+  }
+  
+  const awarded = [];
+  for (const [key, badge] of candidates) {
+    if (values[badge.metric] < badge.threshold) continue;
+    
+    // Only the request that adds the badge sends the notification
+    const result = await User.updateOne(
+      { _id: user._id, 'badges.badge': { $ne: key } },
+      { $push: { badges: { badge: key, awardedAt: new Date() } } }
+    );
+    
+    if (result.modifiedCount === 1) {
+      awarded.push(key);
+      await mongoose.model('Notification').createBadgeNotification(user._id, badge);
+    }
+  }
+  
+  return awarded;
+};
+
+// Award badges without holding up the caller
+const checkBadges = (userId, metrics) => {
+  awardBadges(userId, metrics).catch(error => {
+    console.error('Badge award error:', error);
+  });
+};
+
+// Describe a user's earned badges for display. Badges that have since been
+// removed from the config are left out.
+const describeBadges = (userBadges = []) => userBadges
+  .filter(entry => BADGES[entry.badge])
+  .map(entry => ({
+    key: entry.badge,
+    name: BADGES[entry.badge].name,
+    description: BADGES[entry.badge].description,
+    awardedAt: entry.awardedAt
+  }));
+
+module.exports = {
+  METRICS,
+  awardBadges,
+  checkBadges,
+  describeBadges
+};
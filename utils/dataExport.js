@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const Story = require('../models/Story');
+const Chapter = require('../models/Chapter');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const Rating = require('../models/Rating');
+const Follow = require('../models/Follow');
+const Block = require('../models/Block');
+const ReadingList = require('../models/ReadingList');
+const ReadingProgress = require('../models/ReadingProgress');
+const ReadingHistory = require('../models/ReadingHistory');
+const AuthorVerification = require('../models/AuthorVerification');
+const Notification = require('../models/Notification');
+const LoginAttempt = require('../models/LoginAttempt');
+const UsernameChange = require('../models/UsernameChange');
+const DataExport = require('../models/DataExport');
+const { createTarGz } = require('./archive');
+const { createRandomToken } = require('./tokens');
+const { sendDataExportReadyEmail } = require('./emails');
+
+// Archives are kept outside the public uploads directory
+const getExportDirectory = () => process.env.DATA_EXPORT_DIR || 'exports/';
+
+// Get the path of an export's archive on disk
+const getExportPath = (dataExport) => {
+  return path.join(getExportDirectory(), dataExport.fileName);
+};
+
+// Gather everything stored about a user, grouped into archive files
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId);
+  const stories = await Story.find({ author: userId }).lean();
+  const storyIds = stories.map(story => story._id);
+  
+  const [
+    chapters, comments, likes, ratings, following, followers,
+    blocks, readingLists, readingProgress, readingHistory,
+    verificationApplications, notifications, loginActivity, usernameHistory
+  ] = await Promise.all([
+    Chapter.find({ story: { $in: storyIds } }).sort({ story: 1, chapterNumber: 1 }).lean(),
+    Comment.find({ user: userId }).populate('story', 'title').sort({ createdAt: 1 }).lean(),
+    Like.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    Rating.find({ user: userId }).populate('story', 'title').sort({ createdAt: 1 }).lean(),
+    Follow.find({ follower: userId }).populate('following', 'username').lean(),
+    Follow.find({ following: userId }).populate('follower', 'username').lean(),
+    Block.find({ blocker: userId }).populate('blocked', 'username').lean(),
+    ReadingList.find({ user: userId }).populate('stories.story', 'title').lean(),
+    ReadingProgress.find({ user: userId }).populate('story', 'title').select('-user').lean(),
+    ReadingHistory.find({ user: userId })
+      .populate('story', 'title')
+      .populate('chapter', 'title chapterNumber')
+      .select('-user')
+      .sort({ readAt: 1 })
+      .lean(),
+    AuthorVerification.find({ user: userId }).select('-user -reviewedBy').sort({ createdAt: 1 }).lean(),
+    Notification.find({ recipient: userId }).sort({ createdAt: 1 }).lean(),
+    LoginAttempt.find({ user: userId }).select('-user').sort({ createdAt: 1 }).lean(),
+    UsernameChange.getUserHistory(userId).lean()
+  ]);
+  
+  return {
+    'profile.json': user.toJSON(),
+    'stories.json': stories,
+    'chapters.json': chapters,
+    'comments.json': comments,
+    'likes.json': likes,
+    'ratings.json': ratings,
+    'follows.json': {
+      following: following.map(follow => ({
+        user: follow.following,
+        since: follow.createdAt
+      })),
+      followers: followers.map(follow => ({
+        user: follow.follower,
+        since: follow.createdAt
+      }))
+    },
+    'blocks.json': blocks.map(block => ({
+      user: block.blocked,
+      type: block.type,
+      since: block.createdAt
+    })),
+    'reading-lists.json': readingLists.map(list => ({
+      name: list.name,
+      description: list.description,
+      visibility: list.visibility,
+      stories: list.stories
+    })),
+    'reading-progress.json': readingProgress,
+    'reading-history.json': readingHistory,
+    'author-verification.json': verificationApplications,
+    'notifications.json': notifications,
+    'login-activity.json': loginActivity,
+    'username-history.json': usernameHistory
+  };
+};
+
+// Build the archive for a claimed export and mark it ready (or failed)
+const buildExport = async (dataExport) => {
+  const hours = parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS) || 48;
+  const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+  
+  try {
+    const user = await User.findById(dataExport.user);
+    const data = await collectUserData(dataExport.user);
+    const folder = `${user.username}-data`;
+    
+    const archive = createTarGz(
+      Object.entries(data).map(([name, content]) => ({
+        name: `${folder}/${name}`,
+        content: JSON.stringify(content, null, 2)
+      }))
+    );
+    
+    const fileName = `${dataExport._id}-${createRandomToken(8)}.tar.gz`;
+    fs.mkdirSync(getExportDirectory(), { recursive: true });
+    await fs.promises.writeFile(path.join(getExportDirectory(), fileName), archive);
+    
+    dataExport.status = 'ready';
+    dataExport.fileName = fileName;
+    dataExport.size = archive.length;
+    dataExport.completedAt = new Date();
+    dataExport.expiresAt = expiresAt;
+    await dataExport.save();
+    
+    sendDataExportReadyEmail(user, dataExport.expiresAt).catch(error => {
+      console.error('Data export email error:', error);
+    });
+  } catch (error) {
+    console.error('Data export error:', error);
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { status: 'failed', error: 'Export could not be created', completedAt: new Date(), expiresAt }
+    );
+  }
+};
+
+// Build pending exports one at a time - a specific one, or all that are queued
+const processPendingExports = async (exportId = null) => {
+  let dataExport = await DataExport.claimNext(exportId);
+  
+  while (dataExport) {
+    await buildExport(dataExport);
+    dataExport = exportId ? null : await DataExport.claimNext();
+  }
+};
+
+// Delete exports whose download window has passed, including their archives
+const cleanupExpiredExports = async () => {
+  const expired = await DataExport.find({ expiresAt: { $lte: new Date() } }).select('+fileName');
+  
+  await Promise.all(expired.map(async (dataExport) => {
+    if (dataExport.fileName) {
+      await fs.promises.rm(getExportPath(dataExport), { force: true });
+    }
+    await dataExport.deleteOne();
+  }));
+  
+  return expired.length;
+};
+
+// Delete all of a user's exports and archives
+const deleteUserExports = async (userId) => {
+  const userExports = await DataExport.find({ user: userId }).select('+fileName');
+  
+  await Promise.all(userExports.map(dataExport => dataExport.fileName
+    ? fs.promises.rm(getExportPath(dataExport), { force: true })
+    : null
+  ));
+  
+  await DataExport.deleteMany({ user: userId });
+};
+
+module.exports = {
+  getExportPath,
+  collectUserData,
+  processPendingExports,
+  cleanupExpiredExports,
+  deleteUserExports
+};
@@ -0,0 +1,138 @@
+const { sendMail } = require('./mailer');
+
+// Build a link into the frontend app
+const frontendUrl = (path) => {
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${baseUrl}${path}`;
+};
+
+// Send email address verification link
+const sendVerificationEmail = (user, token) => {
+  const link = frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+  
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.fullName || user.username},\n\n` +
+      `Please confirm your email address by opening the link below:\n\n${link}\n\n` +
+      `This link expires in ${process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'}. ` +
+      'If you did not create an account, you can ignore this email.',
+    html: `<p>Hi ${user.fullName || user.username},</p>` +
+      `<p>Please confirm your email address by clicking the link below:</p>` +
+      `<p><a href="${link}">Verify my email</a></p>` +
+      '<p>If you did not create an account, you can ignore this email.</p>'
+  });
+};
+
+// Send password reset link
+const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const link = frontendUrl(`/reset-password?token=${encodeURIComponent(token)}`);
+  
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.fullName || user.username},\n\n` +
+      `We received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\n` +
+      `This link can be used once and expires in ${expiresInMinutes} minutes. ` +
+      'If you did not request a reset, you can ignore this email.',
+    html: `<p>Hi ${user.fullName || user.username},</p>` +
+      '<p>We received a request to reset your password. Click the link below to choose a new one:</p>' +
+      `<p><a href="${link}">Reset my password</a></p>` +
+      `<p>This link can be used once and expires in ${expiresInMinutes} minutes. ` +
+      'If you did not request a reset, you can ignore this email.</p>'
+  });
+};
+
+// Send link to reactivate a self-deactivated account
+const sendReactivationEmail = (user, token, expiresIn) => {
+  const link = frontendUrl(`/reactivate?token=${encodeURIComponent(token)}`);
+  
+  return sendMail({
+    to: user.email,
+    subject: 'Reactivate your account',
+    text: `Hi ${user.fullName || user.username},\n\n` +
+      `Open the link below to reactivate your account and restore your stories and comments:\n\n${link}\n\n` +
+      `This link expires in ${expiresIn}. If you did not ask to reactivate your account, you can ignore this email.`,
+    html: `<p>Hi ${user.fullName || user.username},</p>` +
+      '<p>Click the link below to reactivate your account and restore your stories and comments:</p>' +
+      `<p><a href="${link}">Reactivate my account</a></p>` +
+      `<p>This link expires in ${expiresIn}. If you did not ask to reactivate your account, you can ignore this email.</p>`
+  });
+};
+
+// Notify user that their password was changed
+const sendPasswordChangedEmail = (user) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Your password was changed',
+    text: `Hi ${user.fullName || user.username},\n\n` +
+      'The password for your account was just changed and all devices were signed out. ' +
+      'If this was not you, reset your password immediately and contact support.',
+    html: `<p>Hi ${user.fullName || user.username},</p>` +
+      '<p>The password for your account was just changed and all devices were signed out. ' +
+      'If this was not you, reset your password immediately and contact support.</p>'
+  });
+};
+
+// Notify user that their account was locked after repeated failed logins
+const sendAccountLockedEmail = (user, lockedUntil, ipAddress) => {
+  const resetLink = frontendUrl('/forgot-password');
+  const until = lockedUntil.toUTCString();
+  
+  return sendMail({
+    to: user.email,
+    subject: 'Your account has been temporarily locked',
+    text: `Hi ${user.fullName || user.username},\n\n` +
+      `There were too many failed sign-in attempts on your account (last from ${ipAddress || 'an unknown address'}), ` +
+      `so it has been locked until ${until}.\n\n` +
+      `If this was not you, we recommend resetting your password: ${resetLink}`,
+    html: `<p>Hi ${user.fullName || user.username},</p>` +
+      `<p>There were too many failed sign-in attempts on your account (last from ${ipAddress || 'an unknown address'}), ` +
+      `so it has been locked until ${until}.</p>` +
+      `<p>If this was not you, we recommend <a href="${resetLink}">resetting your password</a>.</p>`
+  });
+};
+
+// Tell user their personal data export can be downloaded
+const sendDataExportReadyEmail = (user, expiresAt) => {
+  const link = frontendUrl('/settings/privacy');
+  const until = expiresAt.toUTCString();
+  
+  return sendMail({
+    to: user.email,
+    subject: 'Your data export is ready',
+    text: `Hi ${user.fullName || user.username},\n\n` +
+      `The copy of your data you requested is ready. Download it from your privacy settings: ${link}\n\n` +
+      `The download is available until ${until}.`,
+    html: `<p>Hi ${user.fullName || user.username},</p>` +
+      `<p>The copy of your data you requested is ready. Download it from your <a href="${link}">privacy settings</a>.</p>` +
+      `<p>The download is available until ${until}.</p>`
+  });
+};
+
+// Confirm that an account is scheduled for deletion and how to cancel
+const sendAccountDeletionScheduledEmail = (user, scheduledFor) => {
+  const link = frontendUrl('/settings/privacy');
+  const date = scheduledFor.toUTCString();
+  
+  return sendMail({
+    to: user.email,
+    subject: 'Your account is scheduled for deletion',
+    text: `Hi ${user.fullName || user.username},\n\n` +
+      `Your account and personal data will be permanently deleted on ${date}.\n\n` +
+      `Changed your mind? Sign in and cancel the deletion before then: ${link}`,
+    html: `<p>Hi ${user.fullName || user.username},</p>` +
+      `<p>Your account and personal data will be permanently deleted on ${date}.</p>` +
+      `<p>Changed your mind? Sign in and <a href="${link}">cancel the deletion</a> before then.</p>`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendAccountLockedEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendReactivationEmail,
+  sendDataExportReadyEmail,
+  sendAccountDeletionScheduledEmail
+};
@@ -0,0 +1,193 @@
+const Setting = require('../models/Setting');
+const LoginAttempt = require('../models/LoginAttempt');
+const { getClientInfo, startSession } = require('../middleware/auth');
+const { signActionToken } = require('./tokens');
+const { sendAccountLockedEmail } = require('./emails');
+
+// Shared steps of every sign-in method (password, OAuth): throttling,
+// attempt logging, the second factor and starting the session.
+
+// Record a sign-in attempt for the account (if known) and client
+const recordLoginAttempt = (req, reason, user = null, method = 'password') => {
+  const { userAgent, ipAddress } = getClientInfo(req);
+  
+  return LoginAttempt.record({
+    user: user ? user._id : null,
+    email: user ? user.email : req.body.email,
+    method,
+    ipAddress,
+    userAgent,
+    reason
+  });
+};
+
+// Record a failed sign-in, emailing the owner if it locked the account
+const handleFailedLogin = async (req, user, reason) => {
+  const [{ justLocked, lockedUntil }] = await Promise.all([
+    user.registerFailedLogin(),
+    recordLoginAttempt(req, reason, user)
+  ]);
+  
+  if (justLocked) {
+    sendAccountLockedEmail(user, lockedUntil, getClientInfo(req).ipAddress).catch(error => {
+      console.error('Account locked email error:', error);
+    });
+  }
+};
+
+// Tell the client to wait before trying to sign in again
+const sendLoginThrottled = (res, retryAfter, locked) => {
+  res.set('Retry-After', String(retryAfter));
+  
+  return res.status(locked ? 423 : 429).json({
+    success: false,
+    message: locked
+      ? `Account is temporarily locked due to too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.`
+      : `Too many failed login attempts. Please wait ${retryAfter} seconds before trying again.`,
+    retryAfter
+  });
+};
+
+// Check IP and account throttling before verifying credentials. Sends the
+// throttled response and returns true if the attempt must be refused.
+const refuseThrottledLogin = async (req, res, user = null) => {
+  const ipRetryAfter = await LoginAttempt.getIpRetryAfter(getClientInfo(req).ipAddress);
+  
+  if (ipRetryAfter) {
+    await recordLoginAttempt(req, 'throttled', user);
+    sendLoginThrottled(res, ipRetryAfter, false);
+    return true;
+  }
+  
+  if (!user) return false;
+  
+  const { retryAfter, locked } = user.getLoginRetryAfter();
+  
+  if (retryAfter) {
+    await recordLoginAttempt(req, locked ? 'account_locked' : 'throttled', user);
+    sendLoginThrottled(res, retryAfter, locked);
+    return true;
+  }
+  
+  return false;
+};
+
+// Check a deactivated or suspended account after its credentials were
+// verified, lifting a suspension that has ended. Sends the refusal and returns
+// true if the login must stop.
+const refuseInactiveLogin = async (req, res, user, method = 'password') => {
+  if (user.isActive) return false;
+  
+  if (user.isSuspensionOver()) {
+    await user.reactivate();
+    return false;
+  }
+  
+  if (user.isSuspended()) {
+    const { reason, until } = user.deactivation;
+    await recordLoginAttempt(req, 'account_suspended', user, method);
+    
+    res.status(403).json({
+      success: false,
+      message: until
+        ? `Account is suspended until ${until.toUTCString()}.`
+        : 'Account is suspended.',
+      suspension: { reason, until }
+    });
+    return true;
+  }
+  
+  await recordLoginAttempt(req, 'account_deactivated', user, method);
+  res.status(403).json({
+    success: false,
+    message: 'Account is deactivated. Request a reactivation link to restore it.',
+    canReactivate: true
+  });
+  return true;
+};
+
+// Record a successful sign-in for a fully authenticated user and start their
+// session. Returns the session's tokens.
+const startLogin = async (user, req, method = 'password') => {
+  await Promise.all([
+    recordLoginAttempt(req, 'success', user, method),
+    user.resetFailedLogins()
+  ]);
+  
+  // Update last active
+  await user.updateLastActive();
+  
+  // Start session
+  return startSession(user._id, req);
+};
+
+// Start a session for a fully authenticated user and send the login response
+const completeLogin = async (user, req, res, method = 'password') => {
+  const { token, refreshToken } = await startLogin(user, req, method);
+  
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      fullName: user.fullName,
+      role: user.role,
+      isVerified: user.isVerified,
+      isVerifiedAuthor: user.isVerifiedAuthor,
+      profilePicture: user.profilePicture,
+      bio: user.bio,
+      followersCount: user.followersCount,
+      followingCount: user.followingCount,
+      storiesCount: user.storiesCount,
+      lastActive: user.lastActive,
+      preferences: user.preferences
+    }
+  });
+};
+
+// Continue a login once the first factor is verified: ask for a 2FA code,
+// require 2FA enrolment, or complete the login
+const continueLogin = async (user, req, res, method = 'password') => {
+  if (user.twoFactor.enabled) {
+    return res.json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      twoFactorRequired: true,
+      challengeToken: signActionToken(
+        '2fa-login',
+        { userId: user._id, method },
+        process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m'
+      )
+    });
+  }
+  
+  if (await Setting.isTwoFactorRequired(user.role)) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication is required for your account. Set it up to continue.',
+      twoFactorSetupRequired: true,
+      challengeToken: signActionToken(
+        '2fa-setup',
+        { userId: user._id, method },
+        process.env.TWO_FACTOR_SETUP_EXPIRES_IN || '15m'
+      )
+    });
+  }
+  
+  return completeLogin(user, req, res, method);
+};
+
+module.exports = {
+  recordLoginAttempt,
+  handleFailedLogin,
+  sendLoginThrottled,
+  refuseThrottledLogin,
+  refuseInactiveLogin,
+  startLogin,
+  completeLogin,
+  continueLogin
+};
@@ -0,0 +1,35 @@
+// Brute-force protection settings, configurable through the environment
+const getLoginProtectionSettings = () => ({
+  // Failed attempts per account before it is temporarily locked
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  // Failed attempts allowed before delays between attempts kick in
+  freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3,
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 60,
+  // Failed attempts per IP address within the window, across all accounts
+  ipFreeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS) || 10,
+  ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 50,
+  ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15
+});
+
+// Seconds to wait after the last failure - doubles with each failure past the free ones
+const getProgressiveDelay = (failures, freeAttempts) => {
+  if (failures < freeAttempts) return 0;
+  
+  const { maxDelaySeconds } = getLoginProtectionSettings();
+  return Math.min(2 ** (failures - freeAttempts), maxDelaySeconds);
+};
+
+// Seconds remaining until a delay that started at `since` has elapsed
+const getRemainingSeconds = (since, delaySeconds) => {
+  if (!since || delaySeconds <= 0) return 0;
+  
+  const remainingMs = new Date(since).getTime() + delaySeconds * 1000 - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+};
+
+module.exports = {
+  getLoginProtectionSettings,
+  getProgressiveDelay,
+  getRemainingSeconds
+};
@@ -0,0 +1,79 @@
+const nodemailer = require('nodemailer');
+
+// Messages captured by the in-memory transport (EMAIL_TRANSPORT=memory)
+const outbox = [];
+
+let transporter = null;
+
+// In-memory transport - records messages instead of delivering them
+const createMemoryTransport = () => {
+  return nodemailer.createTransport({
+    name: 'memory',
+    version: '1.0.0',
+    send(mail, callback) {
+      outbox.push({ ...mail.data, sentAt: new Date() });
+      callback(null, {
+        envelope: mail.message.getEnvelope(),
+        messageId: mail.message.messageId()
+      });
+    }
+  });
+};
+
+// Create transport from EMAIL_* settings. Any SMTP server works, including a
+// local stand-in such as MailHog (EMAIL_HOST=localhost, EMAIL_PORT=1025).
+const createTransport = () => {
+  if (process.env.EMAIL_TRANSPORT === 'memory') {
+    return createMemoryTransport();
+  }
+  
+  const port = parseInt(process.env.EMAIL_PORT) || 587;
+  
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST || 'localhost',
+    port,
+    secure: process.env.EMAIL_SECURE ? process.env.EMAIL_SECURE === 'true' : port === 465,
+    auth: process.env.EMAIL_USER ? {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    } : undefined
+  });
+};
+
+// Get the active transport, creating it on first use
+const getTransport = () => {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+};
+
+// Replace the active transport (e.g. with a custom or stub transport in tests)
+const setTransport = (transport) => {
+  transporter = transport;
+};
+
+// Send an email using the active transport
+const sendMail = ({ to, subject, text, html }) => {
+  const from = process.env.EMAIL_FROM ||
+    `Storytelling Platform <${process.env.EMAIL_USER || 'no-reply@storytelling-platform.com'}>`;
+  
+  return getTransport().sendMail({ from, to, subject, text, html });
+};
+
+// Get messages captured by the in-memory transport
+const getOutbox = () => outbox;
+
+// Clear messages captured by the in-memory transport
+const clearOutbox = () => {
+  outbox.length = 0;
+};
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+  createMemoryTransport,
+  getOutbox,
+  clearOutbox
+};
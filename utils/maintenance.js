@@ -0,0 +1,38 @@
+const User = require('../models/User');
+const Story = require('../models/Story');
+const ReadingList = require('../models/ReadingList');
+const { processPendingExports, cleanupExpiredExports } = require('./dataExport');
+const { processDueDeletions } = require('./accountDeletion');
+
+// Run the periodic background jobs once
+const runMaintenance = async () => {
+  try {
+    // Old reading lists are moved over in full, as listings no longer read them
+    let migrated;
+    do {
+      migrated = await ReadingList.migrateLegacyLists();
+    } while (migrated > 0);
+    
+    await processPendingExports();
+    await cleanupExpiredExports();
+    await processDueDeletions();
+    await User.liftExpiredSuspensions();
+    await Story.backfillSearch();
+    await User.backfillSearchNames();
+  } catch (error) {
+    console.error('Maintenance error:', error);
+  }
+};
+
+// Run the background jobs now and then on an interval
+const startMaintenance = () => {
+  const minutes = parseInt(process.env.MAINTENANCE_INTERVAL_MINUTES) || 60;
+  
+  runMaintenance();
+  return setInterval(runMaintenance, minutes * 60 * 1000).unref();
+};
+
+module.exports = {
+  runMaintenance,
+  startMaintenance
+};
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+// Errors talking to an identity provider are reported as 502 Bad Gateway
+const providerError = (provider, message) => {
+  return Object.assign(new Error(`${provider.name}: ${message}`), { statusCode: 502 });
+};
+
+// Generate a PKCE code verifier and its S256 challenge (RFC 7636)
+const createPkcePair = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  
+  return { codeVerifier, codeChallenge };
+};
+
+// Build the URL the user is sent to in order to sign in with the provider
+const buildAuthorizationUrl = (provider, { state, codeChallenge }) => {
+  const url = new URL(provider.authorizationUrl);
+  
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', provider.redirectUri);
+  url.searchParams.set('scope', provider.scope);
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  
+  return url.toString();
+};
+
+// Make a request to the provider and parse the JSON response
+const requestJson = async (provider, url, options = {}) => {
+  let response;
+  
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: {
+        Accept: 'application/json',
+        'User-Agent': 'storytelling-platform',
+        ...options.headers
+      },
+      signal: AbortSignal.timeout(parseInt(process.env.OAUTH_TIMEOUT_MS) || 10000)
+    });
+  } catch (error) {
+    throw providerError(provider, 'identity provider is unreachable');
+  }
+  
+  const body = await response.json().catch(() => null);
+  
+  if (!response.ok || !body) {
+    throw providerError(provider, `identity provider returned ${response.status}`);
+  }
+  
+  return body;
+};
+
+// Exchange an authorization code for an access token
+const exchangeCode = async (provider, { code, codeVerifier }) => {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  
+  if (provider.clientSecret) {
+    params.set('client_secret', provider.clientSecret);
+  }
+  
+  const body = await requestJson(provider, provider.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  });
+  
+  if (!body.access_token) {
+    throw providerError(provider, body.error_description || body.error || 'no access token returned');
+  }
+  
+  return body.access_token;
+};
+
+// Map GitHub's user API (and its separate email list) to a profile
+const fetchGithubProfile = async (provider, headers) => {
+  const user = await requestJson(provider, provider.userInfoUrl, { headers });
+  let email = null;
+  let emailVerified = false;
+  
+  if (provider.emailsUrl) {
+    const emails = await requestJson(provider, provider.emailsUrl, { headers });
+    const primary = Array.isArray(emails) && emails.find(entry => entry.primary);
+    
+    if (primary) {
+      email = primary.email;
+      emailVerified = Boolean(primary.verified);
+    }
+  }
+  
+  return {
+    subject: user.id,
+    email,
+    emailVerified,
+    name: user.name || user.login,
+    username: user.login,
+    picture: user.avatar_url
+  };
+};
+
+// Fetch the signed-in user's profile, normalized across providers
+const fetchProfile = async (provider, accessToken) => {
+  const headers = { Authorization: `Bearer ${accessToken}` };
+  let profile;
+  
+  if (provider.profile === 'github') {
+    profile = await fetchGithubProfile(provider, headers);
+  } else {
+    // Standard OpenID Connect claims
+    const claims = await requestJson(provider, provider.userInfoUrl, { headers });
+    profile = {
+      subject: claims.sub,
+      email: claims.email,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name,
+      username: claims.preferred_username || claims.nickname,
+      picture: claims.picture
+    };
+  }
+  
+  if (profile.subject === undefined || profile.subject === null || profile.subject === '') {
+    throw providerError(provider, 'profile has no user id');
+  }
+  
+  return {
+    ...profile,
+    subject: String(profile.subject),
+    email: profile.email ? String(profile.email).toLowerCase() : null
+  };
+};
+
+module.exports = {
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  fetchProfile
+};
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Sort for lists shown newest first. Every cursor sort ends with _id so that
+// items created in the same millisecond keep a stable order.
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+const OLDEST_FIRST = { createdAt: 1, _id: 1 };
+
+const sortKey = (sort) => Object.entries(sort).map(([field, direction]) => `${field}:${direction}`).join(',');
+
+const sign = (payload) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`cursor:${payload}`)
+  .digest('base64url');
+
+// Dates and ids are tagged so they come back with their type; queries built
+// from cursors also run in aggregations, which do not cast values
+const serializeValue = (value) => {
+  if (value instanceof Date) return { d: value.getTime() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const deserializeValue = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (Number.isInteger(value.d)) return new Date(value.d);
+  if (typeof value.o === 'string' && mongoose.Types.ObjectId.isValid(value.o)) {
+    return new mongoose.Types.ObjectId(value.o);
+  }
+  throw new Error('Invalid cursor value');
+};
+
+const getValue = (item, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? value : value[key]),
+  item
+);
+
+// Create an opaque cursor pointing just past `item` in a list ordered by
+// `sort`. Cursors are signed so clients cannot forge the values in them.
+const encodeCursor = (item, sort) => {
+  const payload = Buffer.from(JSON.stringify({
+    sort: sortKey(sort),
+    values: Object.keys(sort).map(field => serializeValue(getValue(item, field)))
+  })).toString('base64url');
+  
+  return `${payload}.${sign(payload)}`;
+};
+
+// Read a cursor back into its sort values. Returns null for cursors that
+// were tampered with or that were made for a different sort.
+const decodeCursor = (cursor, sort) => {
+  try {
+    const [payload, signature] = String(cursor).split('.');
+    const expected = sign(payload);
+    
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+    
+    const { sort: key, values } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (key !== sortKey(sort) || !Array.isArray(values) || values.length !== Object.keys(sort).length) {
+      return null;
+    }
+    
+    return values.map(deserializeValue);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Conditions on one field for items that come after `value`. Missing
+// values sort before everything else in MongoDB; ids are never missing.
+const pastValue = (field, direction, value) => {
+  if (value === null) return direction > 0 ? [{ $ne: null }] : [];
+  if (direction > 0) return [{ $gt: value }];
+  return field === '_id' ? [{ $lt: value }] : [{ $lt: value }, null];
+};
+
+// Build a filter for the items after a decoded cursor: those past it on the
+// first sort field, or equal on it and past it on the next, and so on
+const cursorFilter = (sort, values) => {
+  const fields = Object.keys(sort);
+  const branches = [];
+  
+  fields.forEach((field, index) => {
+    for (const condition of pastValue(field, sort[field], values[index])) {
+      const branch = {};
+      fields.slice(0, index).forEach((previous, i) => {
+        branch[previous] = values[i];
+      });
+      branch[field] = condition;
+      branches.push(branch);
+    }
+  });
+  
+  return { $or: branches };
+};
+
+// Read pagination query parameters. A cursor takes the place of `page`, and
+// `after` holds its decoded values. Cursors that cannot be read throw an
+// error the error handler answers with 400. The total is counted by default
+// in page mode only, as counting is slow on long lists. Lists read
+// `fetchLimit` items, one more than `limit`, so that `paginate` can tell
+// whether there is a next page without counting.
+const getPaginationParams = (query, sort, defaultLimit = 20) => {
+  const cursor = query.cursor ? String(query.cursor) : null;
+  const after = cursor ? decodeCursor(cursor, sort) : null;
+  
+  if (cursor && !after) {
+    const error = new Error('Invalid cursor');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const page = cursor ? 1 : parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || defaultLimit;
+  
+  return {
+    cursor,
+    after,
+    page,
+    limit,
+    fetchLimit: limit + 1,
+    skip: cursor ? 0 : (page - 1) * limit,
+    includeTotal: query.includeTotal === undefined ? !cursor : String(query.includeTotal) === 'true'
+  };
+};
+
+// Describe a page of results read with `fetchLimit`; `items` holds one more
+// than `limit` when there is a next page. Page numbers are only given in page mode, and
+// `total` only when it was counted.
+const paginate = (items, { limit, page, cursor, sort, total = null }) => {
+  const hasNext = items.length > limit;
+  const pageItems = items.slice(0, limit);
+  const pagination = cursor ? { limit } : { page, limit };
+  
+  if (total !== null) {
+    pagination.total = total;
+    if (!cursor) pagination.totalPages = Math.ceil(total / limit);
+  }
+  
+  pagination.hasNext = hasNext;
+  if (!cursor) pagination.hasPrev = page > 1;
+  pagination.nextCursor = hasNext ? encodeCursor(pageItems[pageItems.length - 1], sort) : null;
+  
+  return { items: pageItems, pagination };
+};
+
+module.exports = {
+  NEWEST_FIRST,
+  OLDEST_FIRST,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  getPaginationParams,
+  paginate
+};
@@ -0,0 +1,44 @@
+const Role = require('../models/Role');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+// Get the permissions a user's role grants
+const getUserPermissions = (user) => {
+  return Role.getPermissions(user.role);
+};
+
+// Check whether a user's role grants a permission
+const hasPermission = async (user, permission) => {
+  const permissions = await getUserPermissions(user);
+  return permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission);
+};
+
+// Check whether an id belongs to the user
+const isOwner = (user, ownerId) => {
+  return Boolean(ownerId) && user._id.equals(ownerId._id || ownerId);
+};
+
+// Check whether a user may perform an action on content owned by ownerId,
+// through either the `<action>.any` or the `<action>.own` permission
+const canActOn = async (user, action, ownerId) => {
+  const permissions = await getUserPermissions(user);
+  
+  if (permissions.includes(ALL_PERMISSIONS) || permissions.includes(`${action}.any`)) {
+    return true;
+  }
+  
+  return permissions.includes(`${action}.own`) && isOwner(user, ownerId);
+};
+
+// Check whether a set of granted permissions includes every required one
+const coversPermissions = (granted, required) => {
+  if (granted.includes(ALL_PERMISSIONS)) return true;
+  return required.every(permission => granted.includes(permission));
+};
+
+module.exports = {
+  getUserPermissions,
+  coversPermissions,
+  hasPermission,
+  isOwner,
+  canActOn
+};
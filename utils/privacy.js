@@ -0,0 +1,17 @@
+const Follow = require('../models/Follow');
+const { isOwner } = require('./permissions');
+
+// Check whether a viewer may see a user's followers-only details (reading
+// list, activity, follower lists). Private accounts only share them with
+// approved followers.
+const canViewPrivateProfile = async (viewer, user) => {
+  if (!user.privacy.isPrivate) return true;
+  if (!viewer) return false;
+  if (isOwner(viewer, user._id)) return true;
+  
+  return Boolean(await Follow.isFollowing(viewer._id, user._id));
+};
+
+module.exports = {
+  canViewPrivateProfile
+};
@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+
+// Words shorter than this are not expanded or kept in the vocabulary
+const MIN_TERM_LENGTH = 3;
+const MAX_TERM_LENGTH = 30;
+const MAX_QUERY_TERMS = 8;
+
+// How many vocabulary words one query word may expand to
+const MAX_PREFIX_EXPANSIONS = 5;
+const MAX_FUZZY_EXPANSIONS = 3;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Read a filter that takes several values, given either comma-separated
+// (genre=Fantasy,Romance) or repeated (genre=Fantasy&genre=Romance)
+const parseListParam = (value) => {
+  if (value === undefined || value === null) return [];
+  
+  return [].concat(value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Lower-case the text, strip accents and split it into words
+const tokenize = (text = '') => (
+  String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || []
+);
+
+// Split a search query into "quoted phrases" and loose words
+const parseSearchQuery = (q) => {
+  const phrases = [];
+  const rest = String(q).replace(/"([^"]+)"/g, (match, phrase) => {
+    const words = tokenize(phrase);
+    if (words.length > 0) phrases.push(words.join(' '));
+    return ' ';
+  });
+  
+  const terms = [...new Set(tokenize(rest))]
+    .filter(term => term.length <= MAX_TERM_LENGTH)
+    .slice(0, MAX_QUERY_TERMS);
+  
+  return { phrases, terms };
+};
+
+// Optimal string alignment distance: edits, with swapped neighbours
+// counting as one
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  
+  return rows[a.length][b.length];
+};
+
+// Find vocabulary words a query word may have been meant as: words it is the
+// start of, and close spellings when the word itself is not known
+const expandTerm = async (term) => {
+  if (term.length < MIN_TERM_LENGTH) return [term];
+  
+  const SearchTerm = mongoose.model('SearchTerm');
+  const maxDistance = term.length >= 6 ? 2 : 1;
+  
+  const [prefixMatches, candidates] = await Promise.all([
+    SearchTerm.find({ term: { $regex: `^${escapeRegex(term)}` } })
+      .sort({ length: 1, term: 1 })
+      .limit(MAX_PREFIX_EXPANSIONS + 1)
+      .lean(),
+    // Typos rarely change the first letter, which keeps the candidates few
+    SearchTerm.find({
+      term: { $regex: `^${escapeRegex(term[0])}` },
+      length: { $gte: term.length - maxDistance, $lte: term.length + maxDistance }
+    })
+      .limit(2000)
+      .lean()
+  ]);
+  
+  const expansions = new Set([term]);
+  prefixMatches.forEach(match => expansions.add(match.term));
+  
+  if (!prefixMatches.some(match => match.term === term)) {
+    candidates
+      .map(candidate => ({ term: candidate.term, distance: editDistance(term, candidate.term) }))
+      .filter(candidate => candidate.distance <= maxDistance)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_FUZZY_EXPANSIONS)
+      .forEach(candidate => expansions.add(candidate.term));
+  }
+  
+  return [...expansions];
+};
+
+// Build the $text search for a query. Phrases must all appear; any of the
+// loose words or their expansions can match. Returns null when nothing in
+// the query can be searched for.
+const buildTextSearch = async (q) => {
+  const { phrases, terms } = parseSearchQuery(q);
+  if (phrases.length === 0 && terms.length === 0) return null;
+  
+  const expanded = [...new Set((await Promise.all(terms.map(expandTerm))).flat())];
+  
+  return {
+    $search: [...phrases.map(phrase => `"${phrase}"`), ...expanded].join(' '),
+    phrases,
+    terms: expanded
+  };
+};
+
+// Build a regex finding the words and phrases of a search in text that was
+// decomposed with normalize('NFD'). Accents are ignored, as they are by the
+// text index, and words match as prefixes so "dragon" also finds "dragons".
+const buildMatcher = (search) => {
+  const word = (term) => [...term].map(char => `${escapeRegex(char)}\\p{M}*`).join('');
+  const patterns = [
+    ...search.phrases.map(phrase => phrase.split(' ').map(word).join('[^\\p{L}\\p{N}]+')),
+    ...search.terms.map(term => `${word(term)}[\\p{L}\\p{N}\\p{M}]*`)
+  ];
+  
+  if (patterns.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}\\p{M}])(?:${patterns.join('|')})`, 'giu');
+};
+
+// Wrap the parts of the text that match the search in <mark>. The rest of
+// the text is HTML-escaped so the result is safe to render.
+const highlight = (text, search) => {
+  if (!text) return '';
+  
+  const source = text.normalize('NFD');
+  const matcher = buildMatcher(search);
+  if (!matcher) return escapeHtml(text);
+  
+  let result = '';
+  let last = 0;
+  for (const match of source.matchAll(matcher)) {
+    result += `${escapeHtml(source.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  
+  return (result + escapeHtml(source.slice(last))).normalize('NFC');
+};
+
+// Whether the text contains any of the search's words or phrases
+const hasMatch = (text, search) => {
+  const matcher = buildMatcher(search);
+  return Boolean(text) && Boolean(matcher) && matcher.test(text.normalize('NFD'));
+};
+
+// Cut a window of about `length` characters around the first match, on word
+// boundaries, and highlight it
+const snippet = (text, search, length = 200) => {
+  if (!text || text.length <= length) return highlight(text, search);
+  
+  const source = text.normalize('NFD');
+  const matcher = buildMatcher(search);
+  const firstMatch = matcher ? source.search(matcher) : -1;
+  
+  // Start a little before the first match so it has some context
+  const start = firstMatch > length / 4 ? source.lastIndexOf(' ', firstMatch - length / 4) + 1 : 0;
+  let end = Math.min(source.length, start + length);
+  
+  if (end < source.length && source.lastIndexOf(' ', end) > start) {
+    end = source.lastIndexOf(' ', end);
+  }
+  
+  return `${start > 0 ? '…' : ''}${highlight(source.slice(start, end), search)}${end < source.length ? '…' : ''}`;
+};
+
+// Highlighted title, description snippet and matching tags for a story
+// found by a search
+const getStoryHighlights = (story, search) => ({
+  title: highlight(story.title, search),
+  description: snippet(story.description, search),
+  tags: (story.tags || []).filter(tag => hasMatch(tag, search)),
+  authorName: highlight(story.authorName, search)
+});
+
+module.exports = {
+  parseListParam,
+  MIN_TERM_LENGTH,
+  MAX_TERM_LENGTH,
+  tokenize,
+  parseSearchQuery,
+  editDistance,
+  expandTerm,
+  buildTextSearch,
+  highlight,
+  hasMatch,
+  snippet,
+  getStoryHighlights
+};
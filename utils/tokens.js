@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Generate a cryptographically secure random token
+const createRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Hash a token before storing it - raw tokens are never persisted
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Sign a single-purpose token (e.g. email verification links). The purpose
+// claim keeps these tokens from being accepted anywhere else.
+const signActionToken = (purpose, payload, expiresIn) => {
+  return jwt.sign(
+    { ...payload, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
+
+// Verify a single-purpose token, returning its payload or null if invalid
+const verifyActionToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createRandomToken,
+  hashToken,
+  signActionToken,
+  verifyActionToken
+};